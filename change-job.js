@@ -1,8 +1,11 @@
-const { createClient } = require('@supabase/supabase-js');
-const OpenAI = require('openai');
-const { computeDiffs } = require('./services/diff-computation');
+const { computeDiffs, backfillDiffs } = require('./services/diff-computation');
 const { classifyChanges } = require('./services/classification');
-const { createRateLimitedClient } = require('./services/rate-limiter');
+const { extractDeadlines } = require('./services/deadlines');
+const { dispatchNotifications } = require('./services/notifications');
+const { writeFeeds } = require('./services/feeds');
+const { writeCalendars } = require('./services/calendar');
+const { createJobContext, logLimiterStats } = require('./services/job-context');
+const { startRun, finishRun, logRunSummary } = require('./services/run-ledger');
 
 // Only load dotenv if running locally
 if (process.env.NODE_ENV !== 'production') {
@@ -10,54 +13,62 @@ if (process.env.NODE_ENV !== 'production') {
 }
 
 async function main() {
-  // Initialize Supabase client
-  const supabaseUrl = process.env.SUPABASE_URL;
-  const supabaseKey = process.env.SUPABASE_ANON_KEY;
-  const supabase = createClient(supabaseUrl, supabaseKey);
+  const { runId, logger, storage, limiter, differ, classifier } = createJobContext();
+  const backfill = process.env.BACKFILL === 'true';
+  const run = await startRun(storage, backfill ? 'backfill' : 'run', differ, classifier, { id: runId, logger });
+  const results = { limiter };
 
-  // several OpenAI-compatible providers
-  const providers = {
-    scaleway: {
-      apiKey: process.env.SCALEWAY_API_KEY,
-      baseURL: 'https://api.scaleway.ai/v1',
-      differ: {model:'llama-3.3-70b-instruct',context: 131000},
-      classifier: {model:'llama-3.3-70b-instruct',context: 131000},
-    },
-    gemini: {
-      apiKey: process.env.GOOGLE_API_KEY,
-      baseURL: 'https://generativelanguage.googleapis.com/v1beta/openai/',
-      differ: {model:'gemini-2.0-flash',context: 1000000},
-      classifier: {model:'gemini-2.0-flash-lite',context: 1000000},
-    },
-    together: {
-      apiKey: process.env.TOGETHER_API_KEY,
-      baseURL: 'https://api.together.xyz/v1/',
-      differ: {model:'meta-llama/Llama-3.3-70B-Instruct-Turbo-Free',context: 131000},
-      classifier: {model:'meta-llama/Llama-3.3-70B-Instruct-Turbo-Free',context: 131000},
+  try {
+    if (backfill) {
+      // Catch-up run: diff every snapshot pair missing a change, optionally for one source or a date range
+      logger.info('1. Starting diff backfill');
+      results.diffs = await backfillDiffs(storage, differ.client, differ, {
+        sourceId: process.env.BACKFILL_SOURCE_ID,
+        since: process.env.BACKFILL_SINCE,
+        until: process.env.BACKFILL_UNTIL,
+        logger,
+      });
+    } else {
+      logger.info('1. Starting diff computation');
+      results.diffs = await computeDiffs(storage, differ.client, differ, { logger });
     }
-  };
 
-  // Initialize OpenAI client with one provider
-  const currentProvider = 'scaleway';
+    logger.info('2. Starting classification');
+    results.classifications = await classifyChanges(storage, classifier.client, classifier, { logger });
 
-  const openai = new OpenAI({
-    apiKey: providers[currentProvider].apiKey,
-    baseURL: providers[currentProvider].baseURL
-  });
+    logger.info('2b. Extracting deadlines');
+    results.extractions = await extractDeadlines(storage, classifier.client, classifier, { logger });
 
-  const differ = providers[currentProvider].differ; // this model will analyze the difference between two large strings and output a summary in JSON format. Large context matters.
-  const classifier = providers[currentProvider].classifier; // this model will review the diff, tag it and explain its classification, all in JSON schema. Smaller models can do.
+    logger.info('3. Sending notifications');
+    results.notifications = await dispatchNotifications(storage, { logger });
 
-  // Create rate-limited client
-  const rateLimitedOpenAI = createRateLimitedClient(openai);
+    if (process.env.FEEDS_DIR) {
+      logger.info('3b. Writing feeds and calendars');
+      await writeFeeds(storage, process.env.FEEDS_DIR, {
+        classifications: process.env.FEEDS_CLASSIFICATIONS ? process.env.FEEDS_CLASSIFICATIONS.split(',') : undefined,
+        baseUrl: process.env.FEEDS_BASE_URL,
+        logger,
+      });
+      await writeCalendars(storage, process.env.FEEDS_DIR, { logger });
+    }
+  } catch (error) {
+    logger.error('Error in change-job', { error: error.message });
+    results.error = error;
+  }
 
-  console.log('----- 1. Starting diff computation...');
-  await computeDiffs(supabase, rateLimitedOpenAI, differ);
+  logger.info('4. LLM usage per model');
+  logLimiterStats(limiter, logger);
 
-  console.log('----- 2. Starting classification...');
-  await classifyChanges(supabase, rateLimitedOpenAI, classifier);
+  logger.info('5. Run summary');
+  const finished = await finishRun(storage, run, results, { logger });
+  logRunSummary(finished, logger);
 
-  console.log('Daily changes job completed');
+  if (finished.status === 'failed') {
+    // Non-zero exit so the scheduled workflow reports the failure
+    process.exitCode = 1;
+    return;
+  }
+  logger.info('Daily changes job completed');
 }
 
 main().catch((error) => {
@@ -0,0 +1,342 @@
+#!/usr/bin/env node
+const fs = require('fs');
+const { computeDiffs, backfillDiffs, testDiff } = require('./services/diff-computation');
+const { classifyChanges } = require('./services/classification');
+const { extractDeadlines, EVENT_TYPES } = require('./services/deadlines');
+const { buildCalendar } = require('./services/calendar');
+const { dispatchNotifications } = require('./services/notifications');
+const { listPendingReviews, reviewChange } = require('./services/review-queue');
+const { createJobContext, logLimiterStats } = require('./services/job-context');
+const { startRun, finishRun, logRunSummary } = require('./services/run-ledger');
+const { createEvaluationModels, runEvaluation, formatReport } = require('./services/evaluation');
+const { createLogger } = require('./services/logger');
+const { createStorage } = require('./services/storage');
+const { createDryRunStorage } = require('./services/dry-run');
+
+// Only load dotenv if running locally
+if (process.env.NODE_ENV !== 'production') {
+  require('dotenv').config();
+}
+
+const USAGE = `
+Usage: node cli.js <command> [options]
+
+Commands:
+  run                          Diff the latest snapshots of every source, classify new changes and extract their deadlines,
+                               then notify subscribers
+  diff <snapshot1> <snapshot2> Diff two snapshots and print the change that would be stored (never writes)
+  classify                     Classify changes that have no classification yet
+  reclassify --since <date>    Classify changes recorded since a date again, keeping their earlier labels in their history
+  backfill                     Diff every consecutive snapshot pair that has no change yet
+  deadlines                    Extract the deadlines of classified changes not looked at yet
+  calendar                     Print the iCalendar (.ics) of the extracted deadlines, or write it with --out
+  notify                       Notify subscribers of classified changes not delivered yet, retrying failed deliveries
+  eval                         Score the differ and classifier on the fixtures in eval/; the default replay of recorded
+                               responses only checks the pipeline, --mode record or live measures a provider;
+                               exits with code 1 when a case errored
+  review                       List the changes waiting for a review
+  review <change id> <action>  Review a change: accept, correct (with --summary and/or --classification) or noise
+
+Options:
+  --source <id>        Only process this source
+  --change <id>        classify, deadlines: only process this change
+  --since <date>       reclassify, backfill, notify, deadlines: start of the date range (ISO date)
+  --until <date>       reclassify, backfill, deadlines: end of the date range (ISO date)
+  --provider <names>   Providers to try, most preferred first, e.g. gemini or gemini,together
+  --model <model>      Model to use on the first provider instead of its default one
+  --taxonomy <name>    classify, reclassify, eval: taxonomy to classify with, e.g. default or default@1 (default TAXONOMY)
+  --concurrency <n>    Sources or changes processed at once
+  --format <format>    Output format: text (default) or json
+  --dry-run            Run without writing anything to the database or sending notifications
+  --force              run: diff sources even if they are not due or have no new snapshot
+  --mode <mode>        eval: replay (default, offline), record (call the providers and save responses) or live
+  --fixtures <dir>     eval: fixtures directory (default eval/fixtures)
+  --recordings <dir>   eval: recorded responses directory (default eval/recordings)
+  --out <file>         eval: also write the report to this JSON file; calendar: write the calendar to this file
+  --compare <file>     eval: show the change since an earlier JSON report
+  --summary <text>     review correct: new summary
+  --classification <c> review correct: new classification
+  --explanation <text> review correct: why the new classification applies
+  --reviewer <name>    review: who reviews (default USER)
+  --note <text>        review: note kept with the review, shown to the models with the correction
+  --type <types>       calendar: only these event types, e.g. sunset,end_of_life
+  --help               Show this help
+`.trim();
+
+const COMMANDS = ['run', 'diff', 'classify', 'reclassify', 'backfill', 'deadlines', 'calendar', 'notify', 'eval', 'review'];
+
+// Options that take no value
+const FLAGS = ['dry-run', 'force', 'help'];
+
+/**
+ * Parses command-line arguments into positionals and options.
+ * @param {string[]} argv - Arguments after the script name
+ * @returns {Object} { positionals, options }
+ */
+function parseArgs(argv) {
+  const positionals = [];
+  const options = {};
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (!arg.startsWith('--')) {
+      positionals.push(arg);
+      continue;
+    }
+    const [name, inlineValue] = arg.slice(2).split(/=(.*)/s);
+    if (FLAGS.includes(name)) {
+      options[name] = true;
+    } else if (inlineValue !== undefined) {
+      options[name] = inlineValue;
+    } else if (i + 1 < argv.length && !argv[i + 1].startsWith('--')) {
+      options[name] = argv[++i];
+    } else {
+      throw new Error(`Missing value for --${name}`);
+    }
+  }
+  return { positionals, options };
+}
+
+/**
+ * Prints the outcome of a command.
+ * @param {Array<Object>|Object|null} results - Outcomes returned by the services
+ * @param {string} format - 'text' or 'json'
+ */
+function printResults(results, format) {
+  if (format === 'json') {
+    process.stdout.write(`${JSON.stringify(results, null, 2)}\n`);
+    return;
+  }
+  if (!Array.isArray(results)) {
+    return; // diff already printed its verbose report
+  }
+  for (const result of results) {
+    const subject = result.url || (result.subscriber_id ? `${result.channel} ${result.subscriber_id}` : `change ${result.change_id}`);
+    const details = [result.classification, result.pairs && `${result.pairs.length} pair(s)`, result.change_ids && `${result.change_ids.length} change(s)`, result.events !== undefined && `${result.events} event(s)`, result.reason && `${result.reason} until ${result.next_run_at}`, result.error].filter(Boolean);
+    console.log(`${result.status.padEnd(10)} ${subject}${details.length ? ` (${details.join(', ')})` : ''}`);
+  }
+}
+
+/**
+ * Runs the offline evaluation and prints its report. It never touches the database. Exits with code 1 when a case
+ * errored, e.g. on a request missing from the recordings, so CI notices.
+ * @param {Object} options - Parsed command-line options
+ * @param {string} format - 'text' or 'json'
+ */
+async function evaluate(options, format) {
+  const logger = createLogger({ format: process.env.LOG_FORMAT || 'text' });
+  const { differ, classifier } = createEvaluationModels({
+    mode: options.mode,
+    providers: options.provider ? options.provider.split(',') : undefined,
+    model: options.model,
+    recordingsDir: options.recordings,
+    logger,
+  });
+  const report = await runEvaluation(differ, classifier, { fixturesDir: options.fixtures, mode: options.mode || 'replay', taxonomy: options.taxonomy, logger });
+
+  if (options.out) {
+    fs.writeFileSync(options.out, `${JSON.stringify(report, null, 2)}\n`);
+  }
+  if (format === 'json') {
+    process.stdout.write(`${JSON.stringify(report, null, 2)}\n`);
+  } else {
+    const baseline = options.compare ? JSON.parse(fs.readFileSync(options.compare, 'utf8')) : null;
+    console.log(formatReport(report, baseline));
+  }
+  if (report.totals.errors > 0) {
+    process.exitCode = 1;
+  }
+}
+
+/**
+ * Lists the changes pending review, or applies a review decision to one change, and prints the outcome.
+ * A review is a human decision rather than a job: it needs no LLM provider and is not recorded in job_runs.
+ * @param {string[]} args - Positionals after the command: none, or change id and action
+ * @param {Object} options - Parsed command-line options
+ * @param {string} format - 'text' or 'json'
+ */
+async function review(args, options, format) {
+  const logger = createLogger({ format: process.env.LOG_FORMAT || 'text' });
+  const storage = options['dry-run'] ? createDryRunStorage(createStorage(), logger) : createStorage();
+  const [changeId, action] = args;
+  if (!changeId) {
+    const pending = await listPendingReviews(storage, { sourceId: options.source, logger });
+    if (!pending) {
+      throw new Error('Changes pending review could not be fetched');
+    }
+    printResults(pending.map((change) => ({
+      change_id: change.id,
+      status: 'pending',
+      classification: change.classification,
+      confidence: change.confidence,
+      review_reason: change.review_reason,
+      summary: change.diff?.summary,
+    })), format);
+    return;
+  }
+  if (!action) {
+    throw new Error('review expects a change id and an action, e.g. node cli.js review <change id> accept');
+  }
+  const outcome = await reviewChange(storage, changeId, {
+    action,
+    summary: options.summary,
+    classification: options.classification,
+    explanation: options.explanation,
+    reviewer: options.reviewer || process.env.USER,
+    note: options.note,
+  }, { logger });
+  if (outcome.status !== 'reviewed') {
+    throw new Error(outcome.error);
+  }
+  const { change, ...result } = outcome;
+  printResults([{ ...result, classification: change.classification }], format);
+}
+
+/**
+ * Prints the calendar of the extracted deadlines, or writes it to a file. Like a feed, it is read from the database
+ * only: no LLM provider is needed.
+ * @param {Object} options - Parsed command-line options
+ * @param {string} format - 'text' (the .ics itself) or 'json'
+ */
+async function calendar(options, format) {
+  const logger = createLogger({ format: process.env.LOG_FORMAT || 'text' });
+  const types = options.type ? options.type.split(',') : [];
+  const unknown = types.find((type) => !EVENT_TYPES.includes(type));
+  if (unknown) {
+    throw new Error(`Unknown event type "${unknown}", expected one of ${EVENT_TYPES.join(', ')}`);
+  }
+  const built = await buildCalendar(createStorage(), { sourceId: options.source, types, logger });
+  if (!built) {
+    throw new Error('Events could not be fetched');
+  }
+  if (built.notFound) {
+    throw new Error(`No active source ${options.source}`);
+  }
+  if (options.out) {
+    fs.writeFileSync(options.out, built.body);
+    console.log(`${built.events} event(s) written to ${options.out}`);
+  } else if (format === 'json') {
+    process.stdout.write(`${JSON.stringify({ name: built.name, events: built.events }, null, 2)}\n`);
+  } else {
+    process.stdout.write(built.body);
+  }
+}
+
+async function main() {
+  const { positionals, options } = parseArgs(process.argv.slice(2));
+  const [command, ...args] = positionals;
+
+  if (!command || options.help) {
+    console.log(USAGE);
+    return;
+  }
+
+  if (!COMMANDS.includes(command)) {
+    throw new Error(`Unknown command "${command}"\n\n${USAGE}`);
+  }
+
+  const format = options.format || 'text';
+  if (!['text', 'json'].includes(format)) {
+    throw new Error(`Unknown format "${format}", expected text or json`);
+  }
+  if (format === 'json') {
+    // Keep stdout for the JSON result: progress logs go to stderr
+    console.log = console.error;
+  }
+
+  if (command === 'eval') {
+    await evaluate(options, format);
+    return;
+  }
+  if (command === 'review') {
+    await review(args, options, format);
+    return;
+  }
+  if (command === 'calendar') {
+    await calendar(options, format);
+    return;
+  }
+
+  const { runId, logger, storage, limiter, differ, classifier } = createJobContext({
+    providers: options.provider ? options.provider.split(',') : undefined,
+    model: options.model,
+    dryRun: options['dry-run'],
+    logFormat: 'text', // logs are read by a human here, unless LOG_FORMAT says otherwise
+  });
+  const serviceOptions = {
+    sourceId: options.source,
+    since: options.since,
+    until: options.until,
+    logger,
+    ...(options.concurrency ? { concurrency: Number(options.concurrency) } : {}),
+  };
+
+  if (command === 'reclassify' && !options.since && !options.source) {
+    throw new Error('reclassify expects --since <date> or --source <id>, to avoid reclassifying every change by accident');
+  }
+
+  // Every command but diff, which never writes, is recorded in job_runs
+  const run = command === 'diff' ? null : await startRun(storage, command, differ, classifier, { id: runId, logger });
+  const recorded = { limiter };
+
+  let results;
+  try {
+    switch (command) {
+      case 'run': {
+        const diffs = recorded.diffs = await computeDiffs(storage, differ.client, differ, { ...serviceOptions, force: options.force });
+        const classifications = recorded.classifications = await classifyChanges(storage, classifier.client, classifier, { ...serviceOptions, since: undefined, until: undefined });
+        const extractions = recorded.extractions = await extractDeadlines(storage, classifier.client, classifier, { ...serviceOptions, since: undefined, until: undefined });
+        const notifications = recorded.notifications = await dispatchNotifications(storage, { sourceId: options.source, dryRun: options['dry-run'], logger });
+        results = format === 'json' ? { diffs, classifications, extractions, notifications } : [...diffs, ...classifications, ...extractions, ...notifications];
+        break;
+      }
+      case 'diff': {
+        const [snapshotId1, snapshotId2] = args.map(Number);
+        if (!snapshotId1 || !snapshotId2) {
+          throw new Error('diff expects two snapshot ids, e.g. node cli.js diff 549 561');
+        }
+        results = await testDiff(storage, differ.client, differ, snapshotId1, snapshotId2, { logger });
+        break;
+      }
+      case 'classify':
+        results = recorded.classifications = await classifyChanges(storage, classifier.client, classifier, { ...serviceOptions, changeId: options.change, taxonomy: options.taxonomy });
+        break;
+      case 'reclassify':
+        results = recorded.classifications = await classifyChanges(storage, classifier.client, classifier, { ...serviceOptions, reclassify: true, taxonomy: options.taxonomy });
+        break;
+      case 'backfill':
+        results = recorded.diffs = await backfillDiffs(storage, differ.client, differ, serviceOptions);
+        break;
+      case 'deadlines':
+        results = recorded.extractions = await extractDeadlines(storage, classifier.client, classifier, { ...serviceOptions, changeId: options.change });
+        break;
+      case 'notify':
+        results = recorded.notifications = await dispatchNotifications(storage, { sourceId: options.source, since: options.since, dryRun: options['dry-run'], logger });
+        break;
+    }
+  } catch (error) {
+    if (!run) {
+      throw error;
+    }
+    // Still record the run, as failed
+    logger.error('Error in cli', { error: error.message });
+    recorded.error = error;
+  }
+
+  if (!recorded.error) {
+    printResults(results, format);
+  }
+  logLimiterStats(limiter, logger);
+
+  if (run) {
+    const finished = await finishRun(storage, run, recorded, { logger });
+    logRunSummary(finished, logger);
+    if (finished.status === 'failed') {
+      process.exitCode = 1;
+    }
+  }
+}
+
+main().catch((error) => {
+  console.error('Error in cli:', error.message);
+  process.exit(1);
+});
@@ -0,0 +1,27 @@
+const { createApiServer } = require('./services/api');
+const { createStorage } = require('./services/storage');
+const { createLogger } = require('./services/logger');
+
+// Only load dotenv if running locally
+if (process.env.NODE_ENV !== 'production') {
+  require('dotenv').config();
+}
+
+// Port the API listens on, unless PORT says otherwise
+const DEFAULT_PORT = 3000;
+
+function main() {
+  const logger = createLogger();
+  let server;
+  try {
+    server = createApiServer({ storage: createStorage(), logger });
+  } catch (error) {
+    logger.error('Error starting API', { error: error.message });
+    process.exitCode = 1;
+    return;
+  }
+  const port = Number(process.env.PORT) || DEFAULT_PORT;
+  server.listen(port, () => logger.info('API listening', { port, job_triggers: !!process.env.API_TOKEN }));
+}
+
+main();
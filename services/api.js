@@ -0,0 +1,475 @@
+/**
+ * HTTP API: query changes and job runs, and trigger a diff or classification of one source
+ */
+const http = require('http');
+const crypto = require('crypto');
+const { computeDiffs } = require('./diff-computation');
+const { classifyChanges } = require('./classification');
+const { loadTaxonomy } = require('./taxonomy');
+const { getSchedule } = require('./schedule');
+const { createJobContext, logLimiterStats } = require('./job-context');
+const { startRun, finishRun, logRunSummary } = require('./run-ledger');
+const { buildFeed, FEED_FORMATS } = require('./feeds');
+const { buildCalendar } = require('./calendar');
+const { EVENT_TYPES } = require('./deadlines');
+const { listPendingReviews, reviewChange } = require('./review-queue');
+const { logger } = require('./logger');
+
+// Changes returned per request, unless ?limit= says otherwise
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 500;
+
+// Largest JSON body accepted
+const MAX_BODY_BYTES = 64 * 1024;
+
+// HTTP status of each failed review outcome
+const REVIEW_ERRORS = { invalid: 400, not_found: 404, failed: 500 };
+
+// Jobs that can be triggered for one source, and where finishRun expects their outcomes
+const JOBS = {
+  diff: {
+    results: 'diffs',
+    // Asked for explicitly: the source is diffed even if its schedule would leave it alone
+    run: ({ storage, differ, logger: log }, sourceId) => computeDiffs(storage, differ.client, differ, { sourceId, force: true, logger: log }),
+  },
+  classify: {
+    results: 'classifications',
+    run: ({ storage, classifier, logger: log }, sourceId) => classifyChanges(storage, classifier.client, classifier, { sourceId, logger: log }),
+  },
+};
+
+/**
+ * Error answered to the client with its HTTP status.
+ */
+class HttpError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.name = 'HttpError';
+    this.status = status;
+  }
+}
+
+/**
+ * Response sent as is rather than wrapped in { data, error }, e.g. a feed or a calendar.
+ */
+class RawResponse {
+  constructor(contentType, body) {
+    this.contentType = contentType;
+    this.body = body;
+  }
+}
+
+/**
+ * Creates the API server. Every response but feeds and calendars is JSON shaped like the storage results: { data, error }.
+ * GET  /changes                   Changes, newest first: ?source_id, classification, since, until, include_duplicates, limit
+ * GET  /changes/:id               One change, with its snapshot ids, diff, classification and explanation
+ * GET  /sources                   Active sources, with their schedule and scheduling state
+ * GET  /runs/latest               Last job run: ?command to only consider one kind of run
+ * GET  /runs/:id                  One job run, e.g. the one started by a trigger
+ * GET  /feeds/:name               Feed of classified changes: all.rss, all.atom, all.json or <source id>.rss...; ?classification=a,b
+ * GET  /calendar/:name            Calendar of extracted deadlines: all.ics or <source id>.ics; ?type=sunset,end_of_life
+ * GET  /reviews                   Changes waiting for a review, oldest first: ?source_id
+ * POST /changes/:id/review        Review a change: { action: accept|correct|noise, reviewer, summary, classification, explanation, note }
+ * POST /sources/:id/diff          Diff the latest snapshots of the source, in the background (202 with the run)
+ * POST /sources/:id/classify      Classify the unclassified changes of the source, in the background
+ * GET  /health                    Liveness, with the job in progress if any
+ * @param {Object} options - Optional settings
+ * @param {Object} options.storage - Storage backend shared by the queries and the triggered jobs (see services/storage.js)
+ * @param {Object} options.env - Environment variables (default process.env); API_TOKEN protects the API and enables writes,
+ * API_PUBLIC=true serves it read-only without a token
+ * @param {Object} options.logger - Logger from createLogger (default: shared logger)
+ * @returns {Object} http.Server, not listening yet
+ * @throws {Error} If neither API_TOKEN nor API_PUBLIC=true is set
+ */
+function createApiServer(options = {}) {
+  const { storage } = options;
+  const env = options.env || process.env;
+  const log = options.logger || logger;
+  // One job at a time: jobs share the storage, and the provider rate limits are per job
+  let currentJob = null;
+
+  if (!env.API_TOKEN) {
+    // An open API is a deliberate choice, not what a forgotten variable should lead to
+    if (env.API_PUBLIC !== 'true') {
+      throw new Error('API_TOKEN is not set: set it, or set API_PUBLIC=true to serve the API read-only without authentication');
+    }
+    log.warn('API_TOKEN is not set: anyone reaching the API can read every change and run, job triggers and reviews are disabled');
+  }
+
+  const routes = [
+    ['GET', /^\/health$/, () => ({ status: 'ok', job: currentJob })],
+    ['GET', /^\/changes$/, (params, query) => listChanges(storage, query)],
+    ['GET', /^\/changes\/([\w-]+)$/, ([changeId]) => getChange(storage, changeId)],
+    ['GET', /^\/sources$/, () => listSources(storage)],
+    ['GET', /^\/runs\/latest$/, (params, query) => getLatestRun(storage, query)],
+    ['GET', /^\/runs\/([\w-]+)$/, ([runId]) => getRun(storage, runId)],
+    ['GET', /^\/reviews$/, (params, query) => listReviews(storage, query, log)],
+    ['POST', /^\/changes\/([\w-]+)\/review$/, ([changeId], query, body) => submitReview(changeId, body)],
+    ['GET', new RegExp(`^/feeds/([\\w-]+)\\.(${FEED_FORMATS.join('|')})$`), ([name, format], query) => getFeed(storage, name, format, query, log)],
+    ['GET', /^\/calendar\/([\w-]+)\.ics$/, ([name], query) => getCalendar(storage, name, query, log)],
+    ['POST', /^\/sources\/([\w-]+)\/(diff|classify)$/, ([sourceId, command]) => triggerJob(sourceId, command), 202],
+  ];
+
+  /**
+   * Applies a review decision to a change.
+   * @param {string} changeId - Change reviewed
+   * @param {Object} body - { action, reviewer, summary, classification, explanation, note }
+   * @returns {Object} The reviewed change
+   */
+  async function submitReview(changeId, body) {
+    if (!env.API_TOKEN) {
+      throw new HttpError(403, 'Set API_TOKEN to enable reviews');
+    }
+    const outcome = await reviewChange(storage, changeId, {
+      action: body.action,
+      reviewer: body.reviewer,
+      summary: body.summary,
+      classification: body.classification,
+      explanation: body.explanation,
+      note: body.note,
+    }, { logger: log });
+    if (outcome.status !== 'reviewed') {
+      throw new HttpError(REVIEW_ERRORS[outcome.status] || 500, outcome.error);
+    }
+    return outcome.change;
+  }
+
+  /**
+   * Starts a job for one source and returns its run while the job goes on in the background.
+   * @param {string} sourceId - Source to process
+   * @param {string} command - 'diff' or 'classify'
+   * @returns {Object} The run, with status 'running'
+   */
+  async function triggerJob(sourceId, command) {
+    if (!env.API_TOKEN) {
+      throw new HttpError(403, 'Set API_TOKEN to enable job triggers');
+    }
+    if (currentJob) {
+      throw new HttpError(409, `A ${currentJob.command} job is already running (run ${currentJob.run_id})`);
+    }
+    // Claimed before the first await, so two triggers arriving together cannot both start a job
+    currentJob = { run_id: null, command, source_id: sourceId, started_at: new Date().toISOString() };
+
+    let context;
+    let jobLog;
+    let run;
+    try {
+      const { data: sources, error } = await storage.getActiveSources({ sourceId });
+      if (error) {
+        throw new Error(error.message);
+      }
+      if (!sources.length) {
+        throw new HttpError(404, `No active source ${sourceId}`);
+      }
+
+      context = createJobContext({ storage });
+      jobLog = context.logger.child({ source_id: sourceId });
+      currentJob.run_id = context.runId;
+      run = await startRun(storage, command, context.differ, context.classifier, { id: context.runId, logger: jobLog });
+    } catch (startError) {
+      currentJob = null;
+      throw startError;
+    }
+
+    const results = { limiter: context.limiter };
+    (async () => {
+      try {
+        results[JOBS[command].results] = await JOBS[command].run({ ...context, logger: jobLog }, sourceId);
+      } catch (jobError) {
+        jobLog.error('Error in API job', { error: jobError.message });
+        results.error = jobError;
+      }
+      logLimiterStats(context.limiter, jobLog);
+      logRunSummary(await finishRun(storage, run, results, { logger: jobLog }), jobLog);
+    })()
+      .catch((jobError) => jobLog.error('Error finishing API job', { error: jobError.message }))
+      .finally(() => {
+        currentJob = null;
+      });
+
+    return run;
+  }
+
+  return http.createServer(async (req, res) => {
+    const startedAt = Date.now();
+    const url = new URL(req.url, 'http://localhost');
+    let status = 200;
+    let body;
+
+    try {
+      authorize(req, env);
+      const methodRoutes = routes.filter(([, pattern]) => pattern.test(url.pathname));
+      if (!methodRoutes.length) {
+        throw new HttpError(404, `No route for ${url.pathname}`);
+      }
+      const route = methodRoutes.find(([method]) => method === req.method);
+      if (!route) {
+        throw new HttpError(405, `${req.method} is not allowed on ${url.pathname}`);
+      }
+      const [, pattern, handle, successStatus = 200] = route;
+      const requestBody = req.method === 'POST' ? await readJsonBody(req) : null;
+      const data = await handle(url.pathname.match(pattern).slice(1), url.searchParams, requestBody);
+      body = data instanceof RawResponse ? data : { data, error: null };
+      status = successStatus;
+    } catch (error) {
+      status = error.status || 500;
+      if (status === 500) {
+        // The cause stays in the logs: storage and provider errors can tell more than a client should know
+        log.error('Error in API', { method: req.method, path: url.pathname, error: error.message });
+      }
+      body = { data: null, error: { message: status === 500 ? 'Internal server error' : error.message } };
+    }
+
+    if (body instanceof RawResponse) {
+      res.writeHead(status, { 'Content-Type': body.contentType });
+      res.end(body.body);
+    } else {
+      res.writeHead(status, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(body));
+    }
+    log.info('API request', { method: req.method, path: url.pathname, status, duration_ms: Date.now() - startedAt });
+  });
+}
+
+/**
+ * Checks the bearer token when API_TOKEN is set.
+ * @param {Object} req - Incoming request
+ * @param {Object} env - Environment variables
+ * @throws {HttpError} 401 if the token is missing or wrong
+ */
+function authorize(req, env) {
+  if (!env.API_TOKEN) {
+    return;
+  }
+  const token = (req.headers.authorization || '').replace(/^Bearer\s+/i, '');
+  const expected = Buffer.from(env.API_TOKEN);
+  const given = Buffer.from(token);
+  if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) {
+    throw new HttpError(401, 'Missing or invalid bearer token');
+  }
+}
+
+/**
+ * Reads a JSON request body. An empty body reads as {}.
+ * @param {Object} req - Incoming request
+ * @returns {Promise<Object>} Parsed body
+ * @throws {HttpError} 413 if the body is too large, 400 if it is not a JSON object
+ */
+function readJsonBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    req.on('data', (chunk) => {
+      size += chunk.length;
+      if (size > MAX_BODY_BYTES) {
+        reject(new HttpError(413, `Body larger than ${MAX_BODY_BYTES} bytes`));
+        req.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on('error', reject);
+    req.on('end', () => {
+      const text = Buffer.concat(chunks).toString('utf8').trim();
+      let body;
+      try {
+        body = text ? JSON.parse(text) : {};
+      } catch (error) {
+        reject(new HttpError(400, `Invalid JSON body: ${error.message}`));
+        return;
+      }
+      if (!body || typeof body !== 'object' || Array.isArray(body)) {
+        reject(new HttpError(400, 'Body must be a JSON object'));
+        return;
+      }
+      resolve(body);
+    });
+  });
+}
+
+/**
+ * Lists the changes waiting for a review.
+ * @param {Object} storage - Storage backend
+ * @param {URLSearchParams} query - Optional source_id
+ * @param {Object} log - Logger
+ * @returns {Array<Object>} Pending changes, oldest first
+ */
+async function listReviews(storage, query, log) {
+  const pending = await listPendingReviews(storage, { sourceId: query.get('source_id') || undefined, logger: log });
+  if (!pending) {
+    throw new Error('Changes pending review could not be fetched');
+  }
+  return pending;
+}
+
+/**
+ * Checks classification filters against the categories of the current taxonomy.
+ * @param {string[]} classifications - Classifications asked for
+ * @throws {HttpError} 400 if one is not a category
+ */
+function checkClassifications(classifications) {
+  const { labels } = loadTaxonomy();
+  const unknown = classifications.find((classification) => !labels.includes(classification));
+  if (unknown) {
+    throw new HttpError(400, `Unknown classification "${unknown}", expected one of ${labels.join(', ')}`);
+  }
+}
+
+/**
+ * Lists changes, newest first. Older pages are fetched with ?until set to the timestamp of the last change received.
+ * @param {Object} storage - Storage backend
+ * @param {URLSearchParams} query - source_id, classification, since, until, include_duplicates, limit
+ * @returns {Array<Object>} Changes
+ */
+async function listChanges(storage, query) {
+  const classification = query.get('classification');
+  checkClassifications(classification ? [classification] : []);
+  for (const name of ['since', 'until']) {
+    if (query.get(name) && Number.isNaN(Date.parse(query.get(name)))) {
+      throw new HttpError(400, `Invalid date for ${name}: ${query.get(name)}`);
+    }
+  }
+  const limit = query.get('limit') ? Number(query.get('limit')) : DEFAULT_LIMIT;
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+    throw new HttpError(400, `limit must be an integer from 1 to ${MAX_LIMIT}`);
+  }
+
+  const { data, error } = await storage.listChanges({
+    sourceId: query.get('source_id') || undefined,
+    classification: classification || undefined,
+    since: query.get('since') || undefined,
+    until: query.get('until') || undefined,
+    excludeDuplicates: query.get('include_duplicates') !== 'true',
+    order: 'desc',
+    limit,
+  });
+  if (error) {
+    throw new Error(error.message);
+  }
+  return data;
+}
+
+/**
+ * Fetches one change.
+ * @param {Object} storage - Storage backend
+ * @param {string} changeId - Change id
+ * @returns {Object} Change
+ */
+async function getChange(storage, changeId) {
+  const { data, error } = await storage.listChanges({ changeId });
+  if (error) {
+    throw new Error(error.message);
+  }
+  if (!data.length) {
+    throw new HttpError(404, `No change ${changeId}`);
+  }
+  return data[0];
+}
+
+/**
+ * Lists the active sources with their schedule, and the state the last runs left them in.
+ * @param {Object} storage - Storage backend
+ * @returns {Array<Object>} Sources, each with schedule { cadence_minutes, backoff_minutes, max_backoff_minutes } and
+ * state (null if the source was never diffed)
+ */
+async function listSources(storage) {
+  const { data: sources, error } = await storage.getActiveSources();
+  if (error) {
+    throw new Error(error.message);
+  }
+  const { data: states, error: statesError } = await storage.listSourceStates(sources.map((source) => source.id));
+  if (statesError) {
+    throw new Error(statesError.message);
+  }
+  const stateMap = new Map(states.map((state) => [state.source_id, state]));
+  return sources.map((source) => {
+    const schedule = getSchedule(source);
+    return {
+      ...source,
+      schedule: { cadence_minutes: schedule.cadenceMinutes, backoff_minutes: schedule.backoffMinutes, max_backoff_minutes: schedule.maxBackoffMinutes },
+      state: stateMap.get(source.id) || null,
+    };
+  });
+}
+
+/**
+ * Fetches the last job run.
+ * @param {Object} storage - Storage backend
+ * @param {URLSearchParams} query - Optional command, e.g. run, backfill, diff or classify
+ * @returns {Object} Job run
+ */
+async function getLatestRun(storage, query) {
+  const { data, error } = await storage.getLatestJobRun({ command: query.get('command') || undefined });
+  if (error) {
+    throw new Error(error.message);
+  }
+  if (!data) {
+    throw new HttpError(404, 'No job run recorded yet');
+  }
+  return data;
+}
+
+/**
+ * Fetches one job run.
+ * @param {Object} storage - Storage backend
+ * @param {string} runId - Run id
+ * @returns {Object} Job run
+ */
+async function getRun(storage, runId) {
+  const { data, error } = await storage.getJobRun(runId);
+  if (error) {
+    throw new Error(error.message);
+  }
+  if (!data) {
+    throw new HttpError(404, `No job run ${runId}`);
+  }
+  return data;
+}
+
+/**
+ * Builds a feed on demand.
+ * @param {Object} storage - Storage backend
+ * @param {string} name - 'all' or a source id
+ * @param {string} format - 'rss', 'atom' or 'json'
+ * @param {URLSearchParams} query - Optional classification, a comma-separated list
+ * @param {Object} log - Logger
+ * @returns {RawResponse} The feed
+ */
+async function getFeed(storage, name, format, query, log) {
+  const classifications = (query.get('classification') || '').split(',').filter(Boolean);
+  checkClassifications(classifications);
+  const feed = await buildFeed(storage, format, { sourceId: name === 'all' ? undefined : name, classifications, logger: log });
+  if (!feed) {
+    throw new Error('Changes could not be fetched');
+  }
+  if (feed.notFound) {
+    throw new HttpError(404, `No active source ${name}`);
+  }
+  return new RawResponse(feed.contentType, feed.body);
+}
+
+/**
+ * Builds a calendar on demand.
+ * @param {Object} storage - Storage backend
+ * @param {string} name - 'all' or a source id
+ * @param {URLSearchParams} query - Optional type, a comma-separated list of event types
+ * @param {Object} log - Logger
+ * @returns {RawResponse} The calendar
+ */
+async function getCalendar(storage, name, query, log) {
+  const types = (query.get('type') || '').split(',').filter(Boolean);
+  const unknown = types.find((type) => !EVENT_TYPES.includes(type));
+  if (unknown) {
+    throw new HttpError(400, `Unknown event type "${unknown}", expected one of ${EVENT_TYPES.join(', ')}`);
+  }
+  const calendar = await buildCalendar(storage, { sourceId: name === 'all' ? undefined : name, types, logger: log });
+  if (!calendar) {
+    throw new Error('Events could not be fetched');
+  }
+  if (calendar.notFound) {
+    throw new HttpError(404, `No active source ${name}`);
+  }
+  return new RawResponse(calendar.contentType, calendar.body);
+}
+
+module.exports = { createApiServer };
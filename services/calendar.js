@@ -0,0 +1,271 @@
+/**
+ * Calendar of the deadlines extracted from changes (see services/deadlines.js), as iCalendar (RFC 5545) files
+ * with reminders, per source or for every source
+ */
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { logger } = require('./logger');
+
+// Reminders before each event, in days, unless CALENDAR_REMINDER_DAYS says otherwise
+const DEFAULT_REMINDER_DAYS = [14, 1];
+
+const CONTENT_TYPE = 'text/calendar; charset=utf-8';
+
+// Event titles start with what happens
+const TYPE_LABELS = {
+  sunset: 'Sunset',
+  end_of_life: 'End of life',
+  deprecation: 'Deprecation',
+  migration: 'Migration deadline',
+  effective: 'Takes effect',
+};
+
+// Content lines longer than this are folded, in octets
+const MAX_LINE_OCTETS = 75;
+
+/**
+ * Builds the calendar of the deadlines of one source, or of every active source.
+ * @param {Object} storage - Storage backend (see services/storage.js)
+ * @param {Object} options - Optional settings, see loadCalendar
+ * @returns {Object|null} { name, contentType, body, events }, { notFound: true } if options.sourceId is not an active
+ * source, or null if the events could not be fetched
+ */
+async function buildCalendar(storage, options = {}) {
+  const loaded = await loadCalendar(storage, options);
+  if (!loaded || loaded.notFound) {
+    return loaded;
+  }
+  return renderCalendar(loaded.calendar, loaded.events, options.reminderDays);
+}
+
+/**
+ * Writes the calendar of every active source, and of all of them together, to a directory: all.ics, then
+ * <source id>.ics.
+ * @param {Object} storage - Storage backend (see services/storage.js)
+ * @param {string} dir - Output directory, created if missing
+ * @param {Object} options - Optional settings
+ * @param {string[]} options.types - Only events of these types (default: all)
+ * @param {Object} options.logger - Logger from createLogger (default: shared logger)
+ * @returns {Array<Object>} One { calendar, status, events, error } per file, status being 'written' or 'failed'
+ */
+async function writeCalendars(storage, dir, options = {}) {
+  const log = options.logger || logger;
+  const { data: sources, error } = await storage.getActiveSources();
+  if (error) {
+    log.error('Error fetching sources for calendars', { error: error.message });
+    return [{ calendar: 'all.ics', status: 'failed', error: error.message }];
+  }
+
+  fs.mkdirSync(dir, { recursive: true });
+  const outcomes = [];
+  for (const sourceId of [null, ...sources.map((source) => source.id)]) {
+    const file = `${sourceId || 'all'}.ics`;
+    const calendar = await buildCalendar(storage, { sourceId: sourceId || undefined, types: options.types, logger: log });
+    if (!calendar || calendar.notFound) {
+      // A source deactivated since the list was fetched has no calendar any more
+      outcomes.push({ calendar: file, status: 'failed', error: calendar ? `No active source ${sourceId}` : 'Events could not be fetched' });
+      continue;
+    }
+    fs.writeFileSync(path.join(dir, file), calendar.body);
+    outcomes.push({ calendar: file, status: 'written', events: calendar.events });
+  }
+  log.info('Calendars written', { dir, calendars: outcomes.filter((o) => o.status === 'written').length, failed: outcomes.filter((o) => o.status === 'failed').length });
+  return outcomes;
+}
+
+/**
+ * Fetches the events of a calendar, with the URL of their source.
+ * @param {Object} storage - Storage backend (see services/storage.js)
+ * @param {Object} options - Optional settings
+ * @param {string} options.sourceId - Only events of this active source (default: every active source)
+ * @param {string[]} options.types - Only events of these types (default: all)
+ * @param {Object} options.logger - Logger from createLogger (default: shared logger)
+ * @returns {Object|null} { calendar, events }, { notFound: true } if options.sourceId is not an active source, or null
+ * if the events could not be fetched
+ */
+async function loadCalendar(storage, options = {}) {
+  const log = options.logger || logger;
+  const types = options.types?.length ? options.types : undefined;
+
+  const { data: sources, error: sourcesError } = await storage.getActiveSources({ sourceId: options.sourceId });
+  if (sourcesError) {
+    log.error('Error fetching sources for calendar', { error: sourcesError.message });
+    return null;
+  }
+  if (options.sourceId && !sources.length) {
+    return { notFound: true };
+  }
+  const { data: events, error: eventsError } = await storage.listChangeEvents({ sourceId: options.sourceId, types });
+  if (eventsError) {
+    log.error('Error fetching events for calendar', { error: eventsError.message });
+    return null;
+  }
+
+  const urls = new Map(sources.map((source) => [source.id, source.url]));
+  const source = options.sourceId ? sources[0] : null;
+  return {
+    calendar: {
+      name: source ? source.id : 'all',
+      title: `Deadlines${source ? `: ${source.url}` : ''}${types ? ` (${types.join(', ')})` : ''}`,
+      description: `Sunsets, deprecations, migrations and end of life dates announced by ${source ? source.url : 'every monitored source'}`,
+    },
+    events: events
+      .filter((event) => urls.has(event.source_id))
+      .map((event) => ({ ...event, url: urls.get(event.source_id) })),
+  };
+}
+
+/**
+ * Renders a calendar: one all-day event per deadline, with a reminder some days before.
+ * @param {Object} calendar - Calendar metadata from loadCalendar
+ * @param {Array<Object>} events - Events from loadCalendar
+ * @param {number[]} reminderDays - Days before each event to remind at (default CALENDAR_REMINDER_DAYS or 14 and 1)
+ * @returns {Object} { name, contentType, body, events }
+ */
+function renderCalendar(calendar, events, reminderDays = getReminderDays()) {
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//daily-changes//deadlines//EN',
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeText(calendar.title)}`,
+    `X-WR-CALDESC:${escapeText(calendar.description)}`,
+    // Subscribed calendars are fetched again twice a day
+    'REFRESH-INTERVAL;VALUE=DURATION:PT12H',
+    'X-PUBLISHED-TTL:PT12H',
+  ];
+  for (const event of events) {
+    const title = `${TYPE_LABELS[event.type] || event.type}: ${event.title}`;
+    lines.push(
+      'BEGIN:VEVENT',
+      // Stable across rebuilds and extractions, so calendar apps update an event rather than adding it again
+      `UID:${eventUid(event)}@daily-changes`,
+      // The extraction time, so an unchanged calendar renders to the same bytes
+      `DTSTAMP:${formatTimestamp(event.created_at)}`,
+      `DTSTART;VALUE=DATE:${formatDate(event.date)}`,
+      `DTEND;VALUE=DATE:${formatDate(nextDay(event.date))}`,
+      `SUMMARY:${escapeText(title)}`,
+      `DESCRIPTION:${escapeText([
+        event.description,
+        event.affected_api ? `Affected: ${event.affected_api}` : '',
+        `Source: ${event.url}`,
+        `Change: ${event.change_id}`,
+      ].filter(Boolean).join('\n'))}`,
+      `URL:${event.url}`,
+      `CATEGORIES:${event.type.toUpperCase()}`,
+      'TRANSP:TRANSPARENT',
+      ...reminderDays.flatMap((days) => [
+        'BEGIN:VALARM',
+        'ACTION:DISPLAY',
+        `DESCRIPTION:${escapeText(`${title} in ${days} day${days === 1 ? '' : 's'}`)}`,
+        `TRIGGER:-P${days}D`,
+        'END:VALARM',
+      ]),
+      'END:VEVENT'
+    );
+  }
+  lines.push('END:VCALENDAR');
+
+  return {
+    name: `${calendar.name}.ics`,
+    contentType: CONTENT_TYPE,
+    body: `${lines.map(foldLine).join('\r\n')}\r\n`,
+    events: events.length,
+  };
+}
+
+/**
+ * Identifies an event by what it is rather than by its row: extracting the deadlines of a change again replaces its
+ * rows, but an event with the same type, date and API is the same event.
+ * @param {Object} event - Event row with change_id, type, date and affected_api
+ * @returns {string} Hex digest
+ */
+function eventUid(event) {
+  return crypto
+    .createHash('sha256')
+    .update([event.change_id, event.type, event.date, event.affected_api || ''].join('|'))
+    .digest('hex')
+    .slice(0, 32);
+}
+
+/**
+ * Reads the reminder days from the environment.
+ * @param {Object} env - Environment variables (default process.env)
+ * @returns {number[]} Days before each event, e.g. [14, 1]; empty for no reminders
+ */
+function getReminderDays(env = process.env) {
+  if (env.CALENDAR_REMINDER_DAYS === undefined) {
+    return DEFAULT_REMINDER_DAYS;
+  }
+  return env.CALENDAR_REMINDER_DAYS.split(',').map(Number).filter((days) => Number.isInteger(days) && days > 0);
+}
+
+/**
+ * Escapes a TEXT value: backslashes, semicolons, commas and line breaks.
+ * @param {string} text - Value
+ * @returns {string} Escaped value
+ */
+function escapeText(text) {
+  return String(text || '').replace(/[\\;,]/g, (char) => `\\${char}`).replace(/\r?\n/g, '\\n');
+}
+
+/**
+ * Folds a content line longer than 75 octets into continuation lines starting with a space, never inside
+ * a UTF-8 character.
+ * @param {string} line - Content line
+ * @returns {string} Folded line, with CRLF line breaks
+ */
+function foldLine(line) {
+  const parts = [];
+  let part = '';
+  let octets = 0;
+  for (const char of line) {
+    const size = Buffer.byteLength(char);
+    // Continuation lines lose one octet to their leading space
+    if (octets + size > (parts.length ? MAX_LINE_OCTETS - 1 : MAX_LINE_OCTETS)) {
+      parts.push(part);
+      part = '';
+      octets = 0;
+    }
+    part += char;
+    octets += size;
+  }
+  parts.push(part);
+  return parts.join('\r\n ');
+}
+
+/**
+ * Formats a DATE value.
+ * @param {string} date - YYYY-MM-DD date
+ * @returns {string} YYYYMMDD
+ */
+function formatDate(date) {
+  return date.replace(/-/g, '');
+}
+
+/**
+ * Gives the end of an all-day event, which iCalendar excludes.
+ * @param {string} date - YYYY-MM-DD date
+ * @returns {string} The following day, as YYYY-MM-DD
+ */
+function nextDay(date) {
+  const day = new Date(`${date}T00:00:00Z`);
+  day.setUTCDate(day.getUTCDate() + 1);
+  return day.toISOString().slice(0, 10);
+}
+
+/**
+ * Formats a DATE-TIME value.
+ * @param {string} timestamp - ISO timestamp
+ * @returns {string} UTC date-time, e.g. 20250301T100000Z
+ */
+function formatTimestamp(timestamp) {
+  return new Date(timestamp).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+module.exports = {
+  buildCalendar,
+  writeCalendars,
+};
@@ -1,121 +1,344 @@
+const crypto = require('crypto');
+const { runPool, getPoolOptions, guardWrites } = require('./worker-pool');
+const { logger } = require('./logger');
+const { resolvePrompt, renderPrompt } = require('./prompts');
+const { createStructured } = require('./structured-output');
+const { loadTaxonomy } = require('./taxonomy');
+const { getReviewMode, getReviewExamples, REVIEWED_STATUSES } = require('./review');
+const { isCalendarDate } = require('./deadlines');
+
+// Severity levels of a change, from the most to the least urgent
+const SEVERITIES = ['critical', 'high', 'medium', 'low'];
+
+// Classifications less confident than this are held for review, unless CLASSIFICATION_MIN_CONFIDENCE says otherwise
+const DEFAULT_MIN_CONFIDENCE = 0.6;
+
+// Summaries the differ used to store when its answer was unusable
+const PLACEHOLDER_SUMMARIES = [
+  'Error parsing change summary response.',
+  'Content changes detected, but the summary was too long to process completely.',
+];
+
 /**
- * Classifies unclassified changes using an LLM.
- * @param {Object} supabase - Supabase client instance
+ * Classifies unclassified changes using an LLM. Reclassification leaves alone the changes a reviewer already handled,
+ * unless options.changeId names one.
+ * @param {Object} storage - Storage backend (see services/storage.js)
  * @param {Object} openai - OpenAI client instance
  * @param {Object} classifier - Model used for classifyng changes
+ * @param {Object} options - Optional settings
+ * @param {string} options.changeId - Only classify this change, even if it already has a classification
+ * @param {boolean} options.reclassify - Also classify changes that already have a classification
+ * @param {string} options.sourceId - Only classify changes of this source
+ * @param {string} options.since - Only changes recorded at or after this ISO date
+ * @param {string} options.until - Only changes recorded at or before this ISO date
+ * @param {string} options.taxonomy - Taxonomy to classify with, e.g. 'default@1' (default TAXONOMY, see services/taxonomy.js)
+ * @param {number} options.minConfidence - Confidence under which a classification is held for review (default from env)
+ * @param {number} options.concurrency - Changes classified at once (default from env)
+ * @param {number} options.timeoutMs - Per-change timeout (default from env)
+ * @param {Object} options.logger - Logger from createLogger (default: shared logger)
+ * @returns {Array<Object>} One { change_id, status, classification, confidence, error, duration_ms } per change
  */
-async function classifyChanges(supabase, openai, classifier) {
+async function classifyChanges(storage, openai, classifier, options = {}) {
+  const log = options.logger || logger;
+  const settings = {
+    taxonomy: loadTaxonomy(options.taxonomy),
+    minConfidence: options.minConfidence ?? (process.env.CLASSIFICATION_MIN_CONFIDENCE !== undefined ? Number(process.env.CLASSIFICATION_MIN_CONFIDENCE) : DEFAULT_MIN_CONFIDENCE),
+    reviewMode: getReviewMode(),
+    examples: new Map(),
+  };
   // Fetch unclassified changes with their source URLs
-  const { data: changes, error: changesError } = await supabase
-    .from('changes')
-    .select('id, diff, source_id')
-    .is('classification', null);
+  const { data: changes, error: changesError } = await storage.listChanges({
+    changeId: options.changeId,
+    unclassified: !options.changeId && !options.reclassify,
+    excludeDuplicates: !options.changeId, // a duplicate shares the classification of the change it repeats
+    excludeReviewStatuses: options.changeId ? undefined : REVIEWED_STATUSES, // a reviewer's decision outranks any model
+    sourceId: options.sourceId,
+    since: options.since,
+    until: options.until,
+  });
 
   if (changesError) {
-    console.error('Error fetching changes:', changesError.message);
-    return;
+    log.error('Error fetching changes', { error: changesError.message });
+    return [];
   }
 
   if (!changes.length) {
-    console.log('No unclassified changes to process');
-    return;
+    log.info(options.reclassify || options.changeId ? 'No matching changes to process' : 'No unclassified changes to process');
+    return [];
   }
 
   // Fetch URLs for all source_ids
   const sourceIds = [...new Set(changes.map((c) => c.source_id))];
-  const { data: sources, error: sourcesError } = await supabase
-    .from('sources')
-    .select('id, url')
-    .in('id', sourceIds);
+  const { data: sources, error: sourcesError } = await storage.getSourcesByIds(sourceIds);
 
   if (sourcesError) {
-    console.error('Error fetching source URLs:', sourcesError.message);
-    return;
+    log.error('Error fetching source URLs', { error: sourcesError.message });
+    return [];
   }
 
-  const sourceMap = new Map(sources.map((s) => [s.id, s.url]));
+  const sourceMap = new Map(sources.map((s) => [s.id, s]));
+  // Reviewer corrections of each source are shown to the classifier as examples
+  for (const sourceId of sourceIds) {
+    settings.examples.set(sourceId, await getReviewExamples(storage, sourceId, 'classifier', { log }));
+  }
 
-  for (const change of changes) {
-    const url = sourceMap.get(change.source_id);
+  const poolOptions = { ...getPoolOptions(), ...options };
+  log.info('Classifying changes', { changes: changes.length, taxonomy: settings.taxonomy.ref, concurrency: poolOptions.concurrency });
+  const results = await runPool(
+    changes,
+    (change, index, signal) => {
+      const changeLog = log.child({
+        correlation_id: crypto.randomUUID(),
+        change_id: change.id,
+        source_id: change.source_id,
+        url: sourceMap.get(change.source_id)?.url,
+      });
+      return classifyChange(guardWrites(storage, signal, changeLog), openai, classifier, change, sourceMap.get(change.source_id) || { id: change.source_id }, changeLog, settings);
+    },
+    poolOptions
+  );
+  return results.map((result) => {
+    if (!result.ok) {
+      log.error('Error classifying change', { change_id: result.item.id, error: result.error.message });
+      return { change_id: result.item.id, status: 'failed', error: result.error.message, duration_ms: result.durationMs };
+    }
+    return { change_id: result.item.id, ...result.value, duration_ms: result.durationMs };
+  });
+}
 
-    // Ensure diff is a valid JSON object with a summary
-    if (!change.diff || !change.diff.summary) {
-      console.error(`Change ${change.id} has invalid diff format; expected a JSON object with a 'summary' field`);
-      continue;
+/**
+ * Classifies one change and stores its classification. A classification it replaces is kept in classification_history.
+ * With REVIEW_MODE 'all', or 'low_confidence' and a confidence under settings.minConfidence, it is stored with
+ * review_status 'pending' rather than as final.
+ * @param {Object} storage - Storage backend (see services/storage.js)
+ * @param {Object} openai - OpenAI client instance
+ * @param {Object} classifier - Model used for classifyng changes
+ * @param {Object} change - Change row with id, diff and source_id
+ * @param {Object} source - The change's source, with url and prompt settings
+ * @param {Object} log - Logger for this change
+ * @param {Object} settings - { taxonomy, minConfidence, reviewMode, examples } from classifyChanges
+ * @returns {Object} { status, classification, confidence, error }, status being one of 'classified', 'needs_review',
+ * 'invalid', 'failed'
+ */
+async function classifyChange(storage, openai, classifier, change, source, log, settings) {
+  const { taxonomy, minConfidence, reviewMode } = settings;
+  // Ensure diff is a valid JSON object with a summary
+  if (!change.diff || !change.diff.summary) {
+    log.error("Invalid diff format: expected a JSON object with a 'summary' field", { diff_type: typeof change.diff });
+    return { status: 'invalid', error: 'Invalid diff format' };
+  }
+  // Older runs stored this placeholder when the differ answer could not be parsed: there is nothing to classify
+  if (PLACEHOLDER_SUMMARIES.includes(change.diff.summary)) {
+    log.error('Diff holds a placeholder instead of a summary', { summary: change.diff.summary });
+    return { status: 'invalid', error: 'Placeholder summary' };
+  }
+
+  try {
+    const result = await getLLMClassification(openai, classifier, change.diff, source, log, taxonomy, settings.examples.get(change.source_id));
+    const { classification, explanation, confidence, items } = result;
+    const lowConfidence = reviewMode !== 'off' && confidence < minConfidence;
+    const needsReview = lowConfidence || reviewMode === 'all';
+
+    const { error: updateError } = await storage.updateChange(change.id, {
+      classification,
+      explanation,
+      confidence,
+      secondary_labels: result.secondary_labels,
+      impact: result.impact,
+      review_status: needsReview ? 'pending' : null,
+      review_reason: lowConfidence ? 'low_confidence' : needsReview ? 'review_all' : null,
+      reviewed_by: null,
+      reviewed_at: null,
+      ...(items.length ? { diff: { ...change.diff, items } } : {}),
+      classifier_provider: result.llm.provider,
+      classifier_model: result.llm.model,
+      classifier_prompt_name: result.prompt.name,
+      classifier_prompt_version: result.prompt.version,
+      classification_taxonomy: taxonomy.ref,
+      classified_at: new Date().toISOString(),
+      ...(change.classification ? { classification_history: [...(change.classification_history || []), previousLabels(change)] } : {}),
+    });
+
+    if (updateError) {
+      log.error('Error updating change', { error: updateError.message });
+      return { status: 'failed', classification, confidence, error: updateError.message };
     }
-    const diffSummary = change.diff.summary; // Extract summary from JSON object
-
-    console.log(`Change ${change.id} diff type:`, typeof change.diff);
-    console.log(`Change ${change.id} diff content:`, change.diff);
-
-    const prompt = `
-      Below is a change summary for the documentation at ${url}:
-
-      Change:
-      ${diffSummary}
-
-      Classify the change into one of the following categories: breaking change, security update, performance improvement, new feature, minor bug fix, or other. Provide a brief explanation for your classification.
-      Respond with a JSON object containing exactly two fields: "classification" and "explanation".
-      The "classification" field must be one of: ["breaking", "security", "performance", "new_feature", "minor_fix", "other"].
-      The "explanation" field must be a concise string justifying the classification.
-    `.trim();
-
-    console.log(`Processing change ${change.id} for ${url}: ${diffSummary}`);
-
-    try {
-      const response = await openai.chat.completions.create({
-        model: classifier.model,
-        messages: [
-          { role: 'system', content: 'You are a helpful assistant that strictly follows instructions and provides structured JSON responses.' },
-          { role: 'user', content: prompt },
-        ],
-        max_tokens: 150,
-        response_format: {
-          type: "json_schema",
-          json_schema: {
-            name: "ChangeClassification",
-            schema: {
-              type: "object",
-              properties: {
-                classification: {
-                  type: "string",
-                  enum: ["breaking", "security", "performance", "new_feature", "minor_fix", "other"]
-                },
-                explanation: { type: "string" }
-              },
-              additionalProperties: false,
-              required: ["classification", "explanation"]
-            }
-          }
-        }
-      });
+    if (needsReview) {
+      log.warn('Classification held for review', { classification, confidence, min_confidence: minConfidence, review_mode: reviewMode });
+      return { status: 'needs_review', classification, confidence };
+    }
+    log.info('Classified change', { classification, confidence, severity: result.impact.severity, previous: change.classification || undefined });
+    return { status: 'classified', classification, confidence };
+  } catch (error) {
+    log.error('Error classifying change', { error: error.message });
+    return { status: 'failed', error: error.message };
+  }
+}
 
-      const result = JSON.parse(response.choices[0].message.content);
-      const { classification, explanation } = result;
+/**
+ * The labels of a change as they were before it is classified again, with what produced them.
+ * @param {Object} change - Change row
+ * @returns {Object} Entry of classification_history
+ */
+function previousLabels(change) {
+  return {
+    classification: change.classification,
+    explanation: change.explanation,
+    confidence: change.confidence ?? null,
+    secondary_labels: change.secondary_labels || [],
+    impact: change.impact || null,
+    review_status: change.review_status || null,
+    reviewed_by: change.reviewed_by || null,
+    item_labels: (change.diff.items || []).map((item) => ({ classification: item.classification || null, explanation: item.explanation || null })),
+    taxonomy: change.classification_taxonomy || null, // null for changes classified before taxonomies were versioned
+    classifier_provider: change.classifier_provider || null,
+    classifier_model: change.classifier_model || null,
+    classifier_prompt_name: change.classifier_prompt_name || null,
+    classifier_prompt_version: change.classifier_prompt_version || null,
+    classified_at: change.classified_at || null,
+    replaced_at: new Date().toISOString(),
+  };
+}
 
-      // Validate the response to ensure no undefined values
-      if (!classification || !explanation) {
-        console.error(`Invalid LLM response for change ${change.id}:`, result);
-        continue;
-      }
+/**
+ * Asks the LLM to classify a diff as a whole and each of its items, with its confidence and the impact on users.
+ * Nothing is stored.
+ * @param {Object} openai - OpenAI client instance
+ * @param {Object} classifier - Model used for classifyng changes
+ * @param {Object} diff - Diff object with "summary" and optional "items"
+ * @param {Object} source - The change's source, with url and prompt settings
+ * @param {Object} log - Logger
+ * @param {Object} taxonomy - Taxonomy from loadTaxonomy, whose categories are the only valid answers (default TAXONOMY)
+ * @param {string} examples - Reviewer corrections of the source, from getReviewExamples (default none)
+ * @returns {Object} { classification, secondary_labels, confidence, explanation, impact, items, llm, prompt, taxonomy }:
+ * impact is { severity, required_action, deadline }, items the diff items with their labels, llm the provider/model,
+ * prompt the template name/version and taxonomy the taxonomy ref that produced them
+ * @throws {Error} If the call fails, or StructuredOutputError if no valid classification came back
+ */
+async function getLLMClassification(openai, classifier, diff, source, log = logger, taxonomy = loadTaxonomy(), examples = '') {
+  const categories = taxonomy.labels;
+  const diffSummary = diff.summary; // Extract summary from JSON object
+  const items = Array.isArray(diff.items) ? diff.items : []; // Changes stored before items existed only have a summary
 
-      console.log(`Classification for change ${change.id}: ${classification}`);
-      console.log(`Explanation: ${explanation}`);
+  // Sources pick their prompt through prompt_profile / prompt_templates (see services/prompts.js)
+  const template = resolvePrompt('classifier', source);
+  const prompt = renderPrompt(template, {
+    url: source.url,
+    summary: diffSummary,
+    items,
+    items_count: items.length,
+    items_list: items.map((item, index) => `${index + 1}. ${item.title}${item.affected_api ? ` (${item.affected_api})` : ''}: ${item.description}`).join('\n'),
+    categories: JSON.stringify(categories),
+    categories_list: taxonomy.categories.map((category) => `- ${category.name}: ${category.description}`).join('\n'),
+    severities: JSON.stringify(SEVERITIES),
+    review_examples: examples,
+  });
 
-      const { error: updateError } = await supabase
-        .from('changes')
-        .update({ classification, explanation })
-        .eq('id', change.id);
+  log.info('Processing change', { items: items.length, prompt: `${template.name}@${template.version}`, taxonomy: taxonomy.ref });
+  log.debug('Change summary', { summary: diffSummary });
 
-      if (updateError) {
-        console.error(`Error updating change ${change.id}:`, updateError.message);
-      } else {
-        console.log(`Classified change ${change.id} as ${classification}`);
+  // Invalid or truncated answers are repaired or retried shorter (see services/structured-output.js)
+  const { data: result, response } = await createStructured(openai, {
+    model: classifier.model,
+    messages: [
+      { role: 'system', content: prompt.system },
+      { role: 'user', content: prompt.user },
+    ],
+    max_tokens: 300 + 60 * items.length,
+    response_format: {
+      type: "json_schema",
+      json_schema: {
+        name: "ChangeClassification",
+        schema: {
+          type: "object",
+          properties: {
+            classification: {
+              type: "string",
+              enum: categories
+            },
+            secondary_labels: {
+              type: "array",
+              items: { type: "string", enum: categories }
+            },
+            confidence: { type: "number" },
+            explanation: { type: "string" },
+            severity: { type: "string", enum: SEVERITIES },
+            required_action: { type: ["string", "null"] },
+            deadline: { type: ["string", "null"] },
+            items: {
+              type: "array",
+              items: {
+                type: "object",
+                properties: {
+                  index: { type: "integer" },
+                  classification: { type: "string", enum: categories },
+                  explanation: { type: "string" }
+                },
+                additionalProperties: false,
+                required: ["index", "classification", "explanation"]
+              }
+            }
+          },
+          additionalProperties: false,
+          required: ["classification", "secondary_labels", "confidence", "explanation", "severity", "required_action", "deadline", "items"]
+        }
       }
-    } catch (error) {
-      console.error(`Error classifying change ${change.id}:`, error.message);
     }
+  }, {
+    logger: log,
+    validate: validateClassification,
+  });
+  const { classification, explanation, confidence } = result;
+  const secondaryLabels = [...new Set(result.secondary_labels)].filter((label) => label !== classification);
+
+  log.debug('LLM classification', { classification, secondary_labels: secondaryLabels, confidence, explanation, usage: response.usage });
+
+  // Label each item in place; an item the LLM skipped is left unlabelled rather than guessed,
+  // and loses any label of an earlier classification, which may belong to another taxonomy
+  const itemLabels = new Map((result.items || []).map((label) => [label.index, label]));
+  const labelledItems = items.map(({ classification: previous, explanation: previousExplanation, ...item }, index) => {
+    const label = itemLabels.get(index + 1);
+    if (!label || !categories.includes(label.classification)) {
+      log.warn('Item was not classified', { item: index + 1 });
+      return item;
+    }
+    return { ...item, classification: label.classification, explanation: label.explanation };
+  });
+
+  return {
+    classification,
+    secondary_labels: secondaryLabels,
+    confidence,
+    explanation,
+    impact: {
+      severity: result.severity,
+      required_action: result.required_action?.trim() || null,
+      deadline: result.deadline || null,
+    },
+    items: labelledItems,
+    llm: { provider: response.llm?.provider || null, model: response.llm?.model || classifier.model },
+    prompt: { name: template.name, version: template.version },
+    taxonomy: taxonomy.ref,
+  };
+}
+
+/**
+ * Checks what the JSON schema cannot: a non-empty explanation, a confidence from 0 to 1 and a real deadline date.
+ * @param {Object} parsed - Answer matching the ChangeClassification schema
+ * @returns {string[]} Errors, empty if the answer is valid
+ */
+function validateClassification(parsed) {
+  const errors = [];
+  if (!parsed.explanation.trim()) {
+    errors.push('$.explanation is empty');
+  }
+  if (parsed.confidence < 0 || parsed.confidence > 1) {
+    errors.push('$.confidence should be from 0 to 1');
+  }
+  if (parsed.deadline !== null && !isCalendarDate(parsed.deadline)) {
+    errors.push('$.deadline should be a YYYY-MM-DD date or null');
   }
+  return errors;
 }
 
-module.exports = { classifyChanges };
\ No newline at end of file
+module.exports = { classifyChanges, getLLMClassification, previousLabels, SEVERITIES };
\ No newline at end of file
@@ -0,0 +1,279 @@
+/**
+ * Deadlines: concrete dates a change announces (sunset, deprecation, migration, end of life), extracted by an LLM
+ * and stored as change_events, for the calendar (see services/calendar.js)
+ */
+const crypto = require('crypto');
+const { runPool, getPoolOptions, guardWrites } = require('./worker-pool');
+const { logger } = require('./logger');
+const { resolvePrompt, renderPrompt } = require('./prompts');
+const { createStructured } = require('./structured-output');
+const { HELD_REVIEW_STATUSES } = require('./review');
+
+// Kinds of event, from the end of an API to a change merely taking effect
+const EVENT_TYPES = ['sunset', 'end_of_life', 'deprecation', 'migration', 'effective'];
+
+// Text that may hold a date: without any, a change is not sent to the LLM
+const DATE_HINT = /\b20\d{2}\b|\b(?:jan|feb|mar|apr|may|jun|jul|aug|sep|oct|nov|dec)[a-z]*\.?\s+\d{1,2}\b|\bin\s+\d+\s+(?:days?|weeks?|months?)\b/i;
+
+/**
+ * Extracts the deadlines of classified changes that were not looked at yet. Duplicates, changes pending review and
+ * changes marked as noise are left out, as they are from notifications: a pending change is extracted once accepted.
+ * @param {Object} storage - Storage backend (see services/storage.js)
+ * @param {Object} openai - OpenAI client instance
+ * @param {Object} extractor - Model used for extracting dates (the classifier's)
+ * @param {Object} options - Optional settings
+ * @param {string} options.changeId - Only this change, even if its deadlines were already extracted
+ * @param {string} options.sourceId - Only changes of this source
+ * @param {string} options.since - Only changes recorded at or after this ISO date
+ * @param {string} options.until - Only changes recorded at or before this ISO date
+ * @param {number} options.concurrency - Changes processed at once (default from env)
+ * @param {number} options.timeoutMs - Per-change timeout (default from env)
+ * @param {Object} options.logger - Logger from createLogger (default: shared logger)
+ * @returns {Array<Object>} One { change_id, status, events, error, duration_ms } per change
+ */
+async function extractDeadlines(storage, openai, extractor, options = {}) {
+  const log = options.logger || logger;
+  const { data: changes, error: changesError } = await storage.listChanges({
+    changeId: options.changeId,
+    classified: !options.changeId,
+    eventsUnextracted: !options.changeId,
+    excludeDuplicates: !options.changeId,
+    excludeReviewStatuses: options.changeId ? undefined : HELD_REVIEW_STATUSES,
+    sourceId: options.sourceId,
+    since: options.since,
+    until: options.until,
+  });
+  if (changesError) {
+    log.error('Error fetching changes for deadlines', { error: changesError.message });
+    return [];
+  }
+  if (!changes.length) {
+    log.info('No changes to extract deadlines from');
+    return [];
+  }
+
+  const sourceIds = [...new Set(changes.map((c) => c.source_id))];
+  const { data: sources, error: sourcesError } = await storage.getSourcesByIds(sourceIds);
+  if (sourcesError) {
+    log.error('Error fetching source URLs', { error: sourcesError.message });
+    return [];
+  }
+  const sourceMap = new Map(sources.map((s) => [s.id, s]));
+
+  const poolOptions = { ...getPoolOptions(), ...options };
+  log.info('Extracting deadlines', { changes: changes.length, concurrency: poolOptions.concurrency });
+  const results = await runPool(
+    changes,
+    (change, index, signal) => {
+      const changeLog = log.child({
+        correlation_id: crypto.randomUUID(),
+        change_id: change.id,
+        source_id: change.source_id,
+        url: sourceMap.get(change.source_id)?.url,
+      });
+      return extractChangeDeadlines(guardWrites(storage, signal, changeLog), openai, extractor, change, sourceMap.get(change.source_id) || { id: change.source_id }, changeLog);
+    },
+    poolOptions
+  );
+  return results.map((result) => {
+    if (!result.ok) {
+      log.error('Error extracting deadlines', { change_id: result.item.id, error: result.error.message });
+      return { change_id: result.item.id, status: 'failed', error: result.error.message, duration_ms: result.durationMs };
+    }
+    return { change_id: result.item.id, ...result.value, duration_ms: result.durationMs };
+  });
+}
+
+/**
+ * Extracts the deadlines of one change and stores them in place of those extracted before, then marks the change
+ * with events_extracted_at. A change whose text holds no date is marked without calling the LLM.
+ * @param {Object} storage - Storage backend (see services/storage.js)
+ * @param {Object} openai - OpenAI client instance
+ * @param {Object} extractor - Model used for extracting dates
+ * @param {Object} change - Change row with id, diff, impact, timestamp and source_id
+ * @param {Object} source - The change's source, with url and prompt settings
+ * @param {Object} log - Logger for this change
+ * @returns {Object} { status, events, error }, status being one of 'extracted', 'no_dates', 'invalid', 'failed'
+ */
+async function extractChangeDeadlines(storage, openai, extractor, change, source, log) {
+  if (!change.diff || !change.diff.summary) {
+    log.error("Invalid diff format: expected a JSON object with a 'summary' field", { diff_type: typeof change.diff });
+    return { status: 'invalid', error: 'Invalid diff format' };
+  }
+
+  try {
+    const hasDates = hasDateHints(change);
+    const events = hasDates ? (await getLLMDeadlines(openai, extractor, change, source, log)).events : [];
+
+    const { error: deleteError } = await storage.deleteChangeEvents(change.id);
+    if (deleteError) {
+      log.error('Error removing earlier events', { error: deleteError.message });
+      return { status: 'failed', error: deleteError.message };
+    }
+    if (events.length) {
+      const createdAt = new Date().toISOString();
+      const { error: insertError } = await storage.insertChangeEvents(events.map((event) => ({
+        ...event,
+        change_id: change.id,
+        source_id: change.source_id,
+        created_at: createdAt,
+      })));
+      if (insertError) {
+        log.error('Error storing events', { error: insertError.message });
+        return { status: 'failed', error: insertError.message };
+      }
+    }
+
+    const { error: updateError } = await storage.updateChange(change.id, { events_extracted_at: new Date().toISOString() });
+    if (updateError) {
+      // The events are stored; the change is only looked at again by the next run
+      log.error('Error updating change', { error: updateError.message });
+      return { status: 'failed', events: events.length, error: updateError.message };
+    }
+    if (!hasDates) {
+      log.debug('No date in the change, LLM not called');
+      return { status: 'no_dates', events: 0 };
+    }
+    log.info('Deadlines extracted', { events: events.map((event) => `${event.type} ${event.date}`) });
+    return { status: 'extracted', events: events.length };
+  } catch (error) {
+    log.error('Error extracting deadlines', { error: error.message });
+    return { status: 'failed', error: error.message };
+  }
+}
+
+/**
+ * Tells whether a change may announce a date: its differ items or its impact name one, or its text looks like it.
+ * @param {Object} change - Change row
+ * @returns {boolean} false if the change certainly holds no date
+ */
+function hasDateHints(change) {
+  const items = Array.isArray(change.diff.items) ? change.diff.items : [];
+  if (change.impact?.deadline || items.some((item) => item.effective_date)) {
+    return true;
+  }
+  return DATE_HINT.test([change.diff.summary, ...items.map((item) => `${item.title} ${item.description}`)].join('\n'));
+}
+
+/**
+ * Asks the LLM for the dated events a change announces. Nothing is stored.
+ * @param {Object} openai - OpenAI client instance
+ * @param {Object} extractor - Model used for extracting dates
+ * @param {Object} change - Change row with diff, impact and timestamp
+ * @param {Object} source - The change's source, with url and prompt settings
+ * @param {Object} log - Logger
+ * @returns {Object} { events, llm, prompt }: events are { type, date, title, description, affected_api }, one per
+ * type, date and API
+ * @throws {Error} If the call fails, or StructuredOutputError if no valid answer came back
+ */
+async function getLLMDeadlines(openai, extractor, change, source, log = logger) {
+  const items = Array.isArray(change.diff.items) ? change.diff.items : [];
+  const template = resolvePrompt('extractor', source);
+  const prompt = renderPrompt(template, {
+    url: source.url,
+    detected_on: String(change.timestamp || new Date().toISOString()).slice(0, 10),
+    summary: change.diff.summary,
+    items,
+    items_list: items.map((item, index) => `${index + 1}. ${item.title}${item.affected_api ? ` (${item.affected_api})` : ''}: ${item.description}${item.effective_date ? ` [effective ${item.effective_date}]` : ''}`).join('\n'),
+    // The classifier's deadline, with what users must do by then
+    deadline: change.impact?.deadline && [change.impact.deadline, change.impact.required_action].filter(Boolean).join(': '),
+    types: JSON.stringify(EVENT_TYPES),
+  });
+
+  log.info('Processing change', { items: items.length, prompt: `${template.name}@${template.version}` });
+
+  const { data: result, response } = await createStructured(openai, {
+    model: extractor.model,
+    messages: [
+      { role: 'system', content: prompt.system },
+      { role: 'user', content: prompt.user },
+    ],
+    max_tokens: 200 + 120 * Math.max(1, items.length),
+    response_format: {
+      type: "json_schema",
+      json_schema: {
+        name: "ChangeDeadlines",
+        schema: {
+          type: "object",
+          properties: {
+            events: {
+              type: "array",
+              items: {
+                type: "object",
+                properties: {
+                  type: { type: "string", enum: EVENT_TYPES },
+                  date: { type: "string" },
+                  title: { type: "string" },
+                  description: { type: "string" },
+                  affected_api: { type: ["string", "null"] }
+                },
+                additionalProperties: false,
+                required: ["type", "date", "title", "description", "affected_api"]
+              }
+            }
+          },
+          additionalProperties: false,
+          required: ["events"]
+        }
+      }
+    }
+  }, {
+    logger: log,
+    validate: validateDeadlines,
+  });
+
+  // The same event is sometimes listed once per item announcing it
+  const seen = new Set();
+  const events = result.events
+    .map((event) => ({ ...event, title: event.title.trim(), description: event.description.trim(), affected_api: event.affected_api?.trim() || null }))
+    .filter((event) => {
+      const key = `${event.type}|${event.date}|${event.affected_api || ''}`;
+      return !seen.has(key) && seen.add(key);
+    });
+  log.debug('LLM deadlines', { events, usage: response.usage });
+
+  return {
+    events,
+    llm: { provider: response.llm?.provider || null, model: response.llm?.model || extractor.model },
+    prompt: { name: template.name, version: template.version },
+  };
+}
+
+/**
+ * Checks what the JSON schema cannot: real YYYY-MM-DD dates and non-empty titles.
+ * @param {Object} parsed - Answer matching the ChangeDeadlines schema
+ * @returns {string[]} Errors, empty if the answer is valid
+ */
+function validateDeadlines(parsed) {
+  const errors = [];
+  parsed.events.forEach((event, index) => {
+    if (!isCalendarDate(event.date)) {
+      errors.push(`$.events[${index}].date should be a YYYY-MM-DD date`);
+    }
+    if (!event.title.trim()) {
+      errors.push(`$.events[${index}].title is empty`);
+    }
+  });
+  return errors;
+}
+
+/**
+ * Whether a value is a YYYY-MM-DD date that exists: Date.parse rolls 2025-02-30 over to March 2 instead of failing,
+ * so the date must read back the same.
+ * @param {string} value - Value to check
+ * @returns {boolean} True for an existing date
+ */
+function isCalendarDate(value) {
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(value)) {
+    return false;
+  }
+  const date = new Date(`${value}T00:00:00Z`);
+  return !Number.isNaN(date.getTime()) && date.toISOString().slice(0, 10) === value;
+}
+
+module.exports = {
+  extractDeadlines,
+  getLLMDeadlines,
+  isCalendarDate,
+  EVENT_TYPES,
+};
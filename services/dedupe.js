@@ -0,0 +1,166 @@
+/**
+ * Duplicate detection: a change repeating a recent change of the same source, e.g. because of scraping noise
+ */
+const { logger } = require('./logger');
+
+// What to do with a duplicate, unless DEDUPE_MODE says otherwise: 'link' stores it with duplicate_of set,
+// 'suppress' does not store it, 'off' disables the check
+const DEFAULT_MODE = 'link';
+
+// Similarity (0 to 1) above which two changes are the same, unless DEDUPE_THRESHOLD says otherwise
+const DEFAULT_THRESHOLD = 0.8;
+
+// How far back earlier changes are compared, unless DEDUPE_LOOKBACK_DAYS says otherwise
+const DEFAULT_LOOKBACK_DAYS = 7;
+
+// Words carrying no meaning of their own, ignored when comparing texts
+const STOPWORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'been', 'by', 'for', 'from', 'has', 'have', 'in', 'is', 'it', 'its',
+  'now', 'of', 'on', 'or', 'that', 'the', 'this', 'to', 'was', 'were', 'will', 'with',
+]);
+
+// Version numbers (v2.4.1, 1.2) and ISO dates: two texts naming different ones describe different changes
+const IDENTIFIER_PATTERN = /\b\d{4}-\d{2}-\d{2}\b|\bv?\d+(?:\.\d+)+\b/gi;
+
+/**
+ * Reads the dedupe settings from the environment.
+ * @param {Object} env - Environment variables (default process.env)
+ * @returns {Object} { mode, threshold, lookbackDays }
+ */
+function getDedupeOptions(env = process.env) {
+  const mode = env.DEDUPE_MODE || DEFAULT_MODE;
+  if (!['link', 'suppress', 'off'].includes(mode)) {
+    throw new Error(`Unknown DEDUPE_MODE "${mode}", expected link, suppress or off`);
+  }
+  return {
+    mode,
+    threshold: Number(env.DEDUPE_THRESHOLD) || DEFAULT_THRESHOLD,
+    lookbackDays: Number(env.DEDUPE_LOOKBACK_DAYS) || DEFAULT_LOOKBACK_DAYS,
+  };
+}
+
+/**
+ * Looks for a recent change of the same source that a new diff repeats.
+ * @param {Object} storage - Storage backend (see services/storage.js)
+ * @param {string} sourceId - Source of the new change
+ * @param {Object} diff - New diff with summary and items
+ * @param {Object} options - Optional settings
+ * @param {string} options.timestamp - Date of the new change; earlier changes up to this date are compared (default now)
+ * @param {number} options.threshold - Minimum similarity (default from env)
+ * @param {number} options.lookbackDays - Days of earlier changes compared (default from env)
+ * @param {Object} options.log - Logger
+ * @returns {Object|null} { change_id, similarity } of the earliest record of that change, or null if the diff is new
+ */
+async function findDuplicate(storage, sourceId, diff, options = {}) {
+  const log = options.log || logger;
+  const defaults = getDedupeOptions();
+  const threshold = options.threshold || defaults.threshold;
+  const lookbackDays = options.lookbackDays || defaults.lookbackDays;
+  const until = options.timestamp || new Date().toISOString();
+  const since = new Date(new Date(until).getTime() - lookbackDays * 24 * 60 * 60 * 1000).toISOString();
+
+  const { data: recent, error } = await storage.listChanges({ sourceId, since, until });
+  if (error) {
+    // Storing a possible duplicate beats losing a real change
+    log.error('Error fetching recent changes, skipping duplicate check', { error: error.message });
+    return null;
+  }
+
+  let best = null;
+  for (const change of recent) {
+    if (!change.diff?.summary) continue;
+    const similarity = diffSimilarity(diff, change.diff);
+    if (similarity >= threshold && (!best || similarity > best.similarity)) {
+      best = { change_id: change.duplicate_of || change.id, similarity: Math.round(similarity * 1000) / 1000 };
+    }
+  }
+  log.debug('Duplicate check', { compared: recent.length, duplicate_of: best?.change_id, similarity: best?.similarity });
+  return best;
+}
+
+/**
+ * How much a new diff repeats an earlier one: every item of the new diff must match an earlier item,
+ * so a diff adding one real change to repeated noise is not a duplicate. Diffs without items compare their summaries.
+ * @param {Object} diff - New diff
+ * @param {Object} earlier - Earlier diff
+ * @returns {number} Similarity from 0 to 1: the lowest similarity of a new item to its closest earlier item
+ */
+function diffSimilarity(diff, earlier) {
+  const items = diff.items || [];
+  const earlierItems = earlier.items || [];
+  if (!items.length || !earlierItems.length) {
+    return textSimilarity(diff.summary, earlier.summary);
+  }
+  return Math.min(...items.map((item) => Math.max(...earlierItems.map((other) => textSimilarity(itemText(item), itemText(other))))));
+}
+
+/**
+ * Similarity of two texts, 0 when they name different versions or dates: "v2.4.0 released" and "v2.4.1 released"
+ * share every word, yet announce two releases.
+ * @param {string} a - Text
+ * @param {string} b - Text
+ * @returns {number} Similarity from 0 to 1
+ */
+function textSimilarity(a, b) {
+  const identifiersA = identifiers(a);
+  const identifiersB = identifiers(b);
+  if (identifiersA.size !== identifiersB.size || [...identifiersA].some((identifier) => !identifiersB.has(identifier))) {
+    return 0;
+  }
+  return cosineSimilarity(termVector(a), termVector(b));
+}
+
+/**
+ * Version numbers and dates named in a text.
+ * @param {string} text - Text
+ * @returns {Set<string>} Identifiers, lowercase and without the "v" of versions
+ */
+function identifiers(text) {
+  return new Set(((text || '').match(IDENTIFIER_PATTERN) || []).map((identifier) => identifier.toLowerCase().replace(/^v/, '')));
+}
+
+/**
+ * Text of a change item that is compared.
+ * @param {Object} item - Change item
+ * @returns {string} Title, description, affected API and effective date
+ */
+function itemText(item) {
+  return [item.title, item.description, item.affected_api, item.effective_date].filter(Boolean).join(' ');
+}
+
+/**
+ * Counts the words of a text, after Unicode and case normalization and without stopwords.
+ * @param {string} text - Text
+ * @returns {Map<string, number>} Word counts
+ */
+function termVector(text) {
+  const counts = new Map();
+  const words = (text || '').normalize('NFKC').toLowerCase().split(/[^\p{L}\p{N}]+/u);
+  for (const word of words) {
+    if (!word || STOPWORDS.has(word)) continue;
+    counts.set(word, (counts.get(word) || 0) + 1);
+  }
+  return counts;
+}
+
+/**
+ * Cosine similarity of two word count vectors.
+ * @param {Map<string, number>} a - Word counts
+ * @param {Map<string, number>} b - Word counts
+ * @returns {number} From 0 (no word in common) to 1 (same words, same proportions)
+ */
+function cosineSimilarity(a, b) {
+  let dot = 0;
+  for (const [word, count] of a) {
+    dot += count * (b.get(word) || 0);
+  }
+  const norm = (vector) => Math.sqrt([...vector.values()].reduce((total, count) => total + count * count, 0));
+  const denominator = norm(a) * norm(b);
+  return denominator ? dot / denominator : 0;
+}
+
+module.exports = {
+  getDedupeOptions,
+  findDuplicate,
+  diffSimilarity,
+};
@@ -1,220 +1,667 @@
+const crypto = require('crypto');
+const { runPool, getPoolOptions, guardWrites } = require('./worker-pool');
+const { logger } = require('./logger');
+const { resolvePrompt, renderPrompt } = require('./prompts');
+const { computeTextDiff, chunkHunks, formatExcerpt } = require('./text-diff');
+const { createStructured } = require('./structured-output');
+const { getDedupeOptions, findDuplicate } = require('./dedupe');
+const { normalizeSnapshot } = require('./normalize');
+const { getReviewExamples } = require('./review');
+const { getSchedule, checkDue, nextState } = require('./schedule');
+
+// JSON schema of the differ output: a summary for humans, plus one entry per individual change
+const CHANGE_SUMMARY_SCHEMA = {
+  type: "object",
+  properties: {
+    summary: { type: "string" },
+    items: {
+      type: "array",
+      items: {
+        type: "object",
+        properties: {
+          title: { type: "string" },
+          description: { type: "string" },
+          affected_api: { type: ["string", "null"] },
+          effective_date: { type: ["string", "null"] },
+          severity_hint: { type: "string", enum: ["high", "medium", "low"] }
+        },
+        additionalProperties: false,
+        required: ["title", "description", "affected_api", "effective_date", "severity_hint"]
+      }
+    }
+  },
+  additionalProperties: false,
+  required: ["summary", "items"]
+};
+
 /**
  * Computes differences between consecutive snapshots using an LLM and stores them.
- * @param {Object} supabase - Supabase client instance
+ * Only sources due by their schedule (see services/schedule.js) and with a snapshot newer than the one they were
+ * last diffed on are processed, so the job can run more often than the snapshots are captured. Every snapshot captured
+ * since that one is diffed against the one before it, so none is lost when several land between two runs.
+ * @param {Object} storage - Storage backend (see services/storage.js)
  * @param {Object} openai - OpenAI client instance
  * @param {string} differ - Model used for computing diff
+ * @param {Object} options - Optional settings
+ * @param {string} options.sourceId - Only process this source (default: every active source)
+ * @param {boolean} options.force - Diff the latest snapshots even if the source is not due or has no new snapshot
+ * @param {number} options.concurrency - Sources processed at once (default from env)
+ * @param {number} options.timeoutMs - Per-source timeout (default from env)
+ * @param {Object} options.logger - Logger from createLogger (default: shared logger)
+ * @returns {Array<Object>} One { source_id, url, status, error, duration_ms } per source, status 'not_due' or
+ * 'no_new_snapshot' for the sources left alone
  */
-async function computeDiffs(supabase, openai, differ) {
-  // Fetch all sources with is_active set to true
-  const { data: sources, error: sourcesError } = await supabase
-    .from('sources')
-    .select('id, url')
-    .eq('is_active', true);
+async function computeDiffs(storage, openai, differ, options = {}) {
+  const log = options.logger || logger;
+  const sources = await getActiveSources(storage, options.sourceId, log);
+  if (!sources) {
+    return [];
+  }
 
-  if (sourcesError) {
-    console.error('Error fetching sources:', sourcesError.message);
-    return;
+  const { data: states, error: statesError } = await storage.listSourceStates(sources.map((source) => source.id));
+  if (statesError) {
+    // Without their state, sources are diffed as if they were never processed: duplicates are still never stored
+    log.error('Error fetching source states, diffing every source', { error: statesError.message });
   }
+  const stateMap = new Map((states || []).map((state) => [state.source_id, state]));
+
+  const poolOptions = { ...getPoolOptions(), ...options };
+  log.info('Processing sources', { sources: sources.length, concurrency: poolOptions.concurrency, force: !!options.force });
+  const results = await runPool(
+    sources,
+    (source, index, signal) => {
+      const sourceLog = sourceLogger(log, source);
+      return processScheduledSource(guardWrites(storage, signal, sourceLog), openai, differ, source, stateMap.get(source.id) || null, options, sourceLog);
+    },
+    poolOptions
+  );
+  const outcomes = results.map((result) => toSourceOutcome(result, log));
+  const idle = outcomes.filter((outcome) => ['not_due', 'no_new_snapshot'].includes(outcome.status)).length;
+  log.info('Sources processed', { sources: outcomes.length - idle, left_alone: idle });
+  return outcomes;
+}
 
-  for (const source of sources) {
-    // Get the two most recent snapshots for the source URL
-    const { data: snapshots, error: snapshotsError } = await supabase
-      .from('dom_snapshots')
-      .select('id, content')
-      .eq('url', source.url)
-      .order('captured_at', { ascending: false })
-      .limit(2);
+/**
+ * Diffs one source if it is due and has a new snapshot, then records its state in source_states.
+ * @param {Object} storage - Storage backend (see services/storage.js)
+ * @param {Object} openai - OpenAI client instance
+ * @param {Object} differ - Model used for computing diff
+ * @param {Object} source - Source row with id, url and optional schedule
+ * @param {Object|null} state - The source's source_states row, null if it was never processed
+ * @param {Object} options - { force }, see computeDiffs
+ * @param {Object} log - Logger for this source
+ * @returns {Object} { status, error, ... }: 'not_due' with reason and next_run_at, 'no_new_snapshot', or see processSource
+ */
+async function processScheduledSource(storage, openai, differ, source, state, options, log) {
+  const schedule = getSchedule(source);
+  const wait = options.force ? null : checkDue(schedule, state);
+  if (wait) {
+    log.info('Source not due', { ...wait, consecutive_failures: state.consecutive_failures });
+    return { status: 'not_due', ...wait };
+  }
 
-    if (snapshotsError) {
-      console.error(`Error fetching snapshots for ${source.url}:`, snapshotsError.message);
-      continue;
-    }
+  // The newest snapshot id alone tells whether anything arrived since the last diff, without fetching any content
+  const { data: latest, error: latestError } = await storage.getLatestSnapshotId(source.url);
+  if (latestError) {
+    log.error('Error fetching latest snapshot', { error: latestError.message });
+    return { status: 'failed', error: latestError.message };
+  }
+  if (!options.force && latest && state?.last_snapshot_id === latest.id) {
+    log.info('Skipping source: no snapshot since the last diff', { snapshot_id: latest.id });
+    return { status: 'no_new_snapshot' };
+  }
 
-    if (snapshots.length < 2) {
-      console.log(`Skipping ${source.url}: fewer than 2 snapshots`);
-      continue;
-    }
+  let outcome;
+  try {
+    outcome = await processSource(storage, openai, differ, source, options.force ? null : state?.last_snapshot_id ?? null, log);
+  } catch (error) {
+    log.error('Error processing source', { error: error.message });
+    outcome = { status: 'failed', error: error.message };
+  }
 
-    const [snapshotNew, snapshotOld] = snapshots;
-    console.log('Processing snapshot', snapshotOld.id)
-    console.log('vs...')
-    console.log('snapshot', snapshotNew.id)
-    let textOld = extractText(snapshotOld.content);
-    let textNew = extractText(snapshotNew.content);
-
-    // Get the latest change summary for this source, just in case
-    const { data: latestChange, error: changeError } = await supabase
-      .from('changes')
-      .select('diff')
-      .eq('source_id', source.id)
-      .order('timestamp', { ascending: false })
-      .limit(1);
-
-    const latestSummary = latestChange?.[0]?.diff?.summary || '';
-
-    // 1 token is roughly 4 characters, so we multiply context window by 4 to get the number of characters allowed in theory
-    // my prompt is 3000 chars give or take, we need to save this space
-    // two huge texts will get inserted in the prompt, we divide space by 6 just to avoid over stuffing the model
-    const maxChars = Math.round((differ.context * 4 - 3000) / 6);
-    // console.log('We re allowed up to', maxChars, 'chars per text')
-    let trim = 0;
-    if (textOld.length > maxChars) {
-      textOld = textOld.slice(0, maxChars);
-      trim = maxChars;
-      console.log('TextOld was too long, trimmed to', textOld.length, 'chars, which is roughly', Math.round(textOld.length/4), 'tokens')
+  const newState = nextState(source, schedule, state, outcome, latest?.id ?? null);
+  const { error: stateError } = await storage.upsertSourceState(newState);
+  if (stateError) {
+    // The outcome stands; the source is only diffed again on the next run
+    log.error('Error recording source state', { error: stateError.message });
+  }
+  if (outcome.status === 'failed') {
+    log.warn('Source backs off after a failure', { consecutive_failures: newState.consecutive_failures, next_run_at: newState.next_attempt_at });
+  }
+  return outcome;
+}
+
+/**
+ * Logger for one source, with a correlation id tying together every entry about it in this run.
+ * @param {Object} log - Run logger
+ * @param {Object} source - Source row with id and url
+ * @returns {Object} Logger
+ */
+function sourceLogger(log, source) {
+  return log.child({ correlation_id: crypto.randomUUID(), source_id: source.id, url: source.url });
+}
+
+/**
+ * Fetches sources with is_active set to true.
+ * @param {Object} storage - Storage backend (see services/storage.js)
+ * @param {string} sourceId - Only fetch this source (optional)
+ * @param {Object} log - Logger
+ * @returns {Array<Object>|null} Sources with id and url, or null on error
+ */
+async function getActiveSources(storage, sourceId, log) {
+  const { data: sources, error: sourcesError } = await storage.getActiveSources({ sourceId });
+
+  if (sourcesError) {
+    log.error('Error fetching sources', { error: sourcesError.message });
+    return null;
+  }
+  return sources;
+}
+
+/**
+ * Turns a worker pool result into the outcome reported for a source.
+ * @param {Object} result - { item, ok, value, error, durationMs } from runPool
+ * @param {Object} log - Logger
+ * @returns {Object} { source_id, url, status, error, duration_ms }
+ */
+function toSourceOutcome(result, log) {
+  if (!result.ok) {
+    log.error('Error processing source', { source_id: result.item.id, url: result.item.url, error: result.error.message });
+    return { source_id: result.item.id, url: result.item.url, status: 'failed', error: result.error.message, duration_ms: result.durationMs };
+  }
+  return { source_id: result.item.id, url: result.item.url, ...result.value, duration_ms: result.durationMs };
+}
+
+/**
+ * Diffs every snapshot of one source captured since the one it was last diffed on, pair by pair, and stores the
+ * changes found. Without a snapshot to start from, only the two most recent snapshots are diffed.
+ * @param {Object} storage - Storage backend (see services/storage.js)
+ * @param {Object} openai - OpenAI client instance
+ * @param {Object} differ - Model used for computing diff
+ * @param {Object} source - Source row with id and url
+ * @param {number|null} lastSnapshotId - Snapshot the source was last diffed on, from source_states
+ * @param {Object} log - Logger for this source
+ * @returns {Object} { status, error, ... }, see diffSnapshotPair, or { status, pairs } when several pairs were walked
+ */
+async function processSource(storage, openai, differ, source, lastSnapshotId, log) {
+  // Get the latest change summary for this source, just in case
+  const { data: latestChange } = await storage.getLatestChange(source.id);
+  const latestSummary = latestChange?.diff?.summary || '';
+
+  // Snapshots captured while the job did not run are diffed too, not only the newest pair
+  if (lastSnapshotId) {
+    const { data: listed, error: listError } = await storage.listSnapshots(source.url);
+    if (listError) {
+      log.error('Error listing snapshots', { error: listError.message });
+      return { status: 'failed', error: listError.message };
     }
-    if (textNew.length > maxChars) {
-      textNew = textNew.slice(0, maxChars);
-      trim = maxChars;
-      console.log('TextNew was too long, trimmed to', textNew.length, 'chars, which is roughly', Math.round(textNew.length/4), 'tokens')
+    const start = listed.findIndex((snapshot) => snapshot.id === lastSnapshotId);
+    if (start !== -1 && listed.length - start > 2) {
+      log.info('Catching up on snapshots since the last diff', { pairs: listed.length - start - 1 });
+      return walkSnapshotPairs(storage, openai, differ, source, listed.slice(start), latestSummary, log);
     }
+  }
 
-    const diffJson = await getLLMChangeSummary(openai, differ.model, textOld, textNew, source.url, latestSummary, trim);
-    if (!diffJson || !diffJson.summary) {
-      console.log(`Could not get a summary for ${source.url}, see further logs for troubleshoot.`);
-      continue;
-    }
-    else if (diffJson.summary.toLowerCase().includes('no significant changes')) {
-      console.log(`No significant changes detected for ${source.url}`);
+  // Get the two most recent snapshots for the source URL
+  const { data: snapshots, error: snapshotsError } = await storage.getLatestSnapshots(source.url, 2);
+
+  if (snapshotsError) {
+    log.error('Error fetching snapshots', { error: snapshotsError.message });
+    return { status: 'failed', error: snapshotsError.message };
+  }
+
+  if (snapshots.length < 2) {
+    log.info('Skipping source: fewer than 2 snapshots');
+    return { status: 'skipped' };
+  }
+
+  const [snapshotNew, snapshotOld] = snapshots;
+
+  return diffSnapshotPair(storage, openai, differ, source, snapshotOld, snapshotNew, { latestSummary, log });
+}
+
+/**
+ * Diffs one pair of snapshots and stores the change, if any.
+ * @param {Object} storage - Storage backend (see services/storage.js)
+ * @param {Object} openai - OpenAI client instance
+ * @param {Object} differ - Model used for computing diff
+ * @param {Object} source - Source row with id and url
+ * @param {Object} snapshotOld - Older snapshot with id and content
+ * @param {Object} snapshotNew - Newer snapshot with id and content
+ * @param {Object} options - Optional settings
+ * @param {string} options.latestSummary - Summary of the previous change for this source, if any
+ * @param {string} options.timestamp - Timestamp of the stored change (default now)
+ * @param {Object} options.log - Logger for this source
+ * @returns {Object} { status, snapshot_id1, snapshot_id2, hashes, diff, duplicate_of, error }, status being one of
+ * 'exists', 'identical', 'no_changes', 'duplicate', 'failed', 'stored'
+ */
+async function diffSnapshotPair(storage, openai, differ, source, snapshotOld, snapshotNew, options = {}) {
+  const { latestSummary = '', timestamp = new Date().toISOString() } = options;
+  const log = (options.log || logger).child({ snapshot_id1: snapshotOld.id, snapshot_id2: snapshotNew.id });
+  log.info('Processing snapshot pair');
+  const pair = { snapshot_id1: snapshotOld.id, snapshot_id2: snapshotNew.id };
+
+  // Check if diff already exists, before spending any tokens on it
+  const exists = await diffExists(storage, snapshotOld.id, snapshotNew.id, log);
+  if (exists) {
+    log.info('Diff already exists');
+    return { status: 'exists', ...pair };
+  }
+
+  // Capture noise (cookie banners, counters, session ids, rules of the source) is removed before comparing
+  const normalizedOld = normalizeSnapshot(snapshotOld.content, source.normalization || {}, log);
+  const normalizedNew = normalizeSnapshot(snapshotNew.content, source.normalization || {}, log);
+  const hashes = {
+    old: { raw: normalizedOld.raw_hash, normalized: normalizedOld.normalized_hash },
+    new: { raw: normalizedNew.raw_hash, normalized: normalizedNew.normalized_hash },
+  };
+
+  // Diff locally first: identical captures never reach the LLM, and changed ones are reduced to their hunks
+  const textDiff = computeTextDiff(normalizedOld.text, normalizedNew.text);
+  if (textDiff.identical) {
+    log.info('No significant changes detected: snapshots match after normalization', { raw_changed: hashes.old.raw !== hashes.new.raw });
+    return { status: 'identical', ...pair, hashes };
+  }
+  log.info('Local diff computed', { sections: textDiff.hunks.length, added: textDiff.added, removed: textDiff.removed });
+
+  // Sources pick their prompt through prompt_profile / prompt_templates (see services/prompts.js),
+  // and the differ learns from what reviewers corrected on the same source (see services/review.js)
+  const template = resolvePrompt('differ', source);
+  const examples = await getReviewExamples(storage, source.id, 'differ', { log });
+  const result = await summarizeTextDiff(openai, differ, textDiff, source.url, latestSummary, log, template, examples);
+  const diffJson = result?.diff;
+  if (!diffJson || !diffJson.summary) {
+    log.warn('Could not get a summary, see previous entries for the cause');
+    return { status: 'failed', ...pair, hashes, error: 'LLM summary failed' };
+  }
+  else if (diffJson.summary.toLowerCase().includes('no significant changes')) {
+    // The texts did differ, but the LLM judged the differences irrelevant (scraping noise, promo content...)
+    log.info('No significant changes detected');
+    return { status: 'no_changes', ...pair, hashes };
+  }
+
+  // The same change is often reported again on the next days, when scraping noise makes the page differ
+  const dedupe = getDedupeOptions();
+  const duplicate = dedupe.mode === 'off' ? null : await findDuplicate(storage, source.id, diffJson, { ...dedupe, timestamp, log });
+  if (duplicate && dedupe.mode === 'suppress') {
+    log.info('Change repeats a recent one, not storing it', { duplicate_of: duplicate.change_id, similarity: duplicate.similarity });
+    return { status: 'duplicate', ...pair, hashes, duplicate_of: duplicate.change_id };
+  }
+
+  // Store the diff as a JSONB object
+  const { error: insertError } = await storage.insertChange({
+    source_id: source.id,
+    snapshot_id1: snapshotOld.id,
+    snapshot_id2: snapshotNew.id,
+    diff: diffJson, // Store the JSON object directly as JSONB
+    differ_provider: result.llm.provider,
+    differ_model: result.llm.model,
+    differ_prompt_name: result.prompt.name,
+    differ_prompt_version: result.prompt.version,
+    duplicate_of: duplicate?.change_id || null, // duplicates are never classified nor notified
+    snapshot_hashes: hashes,
+    timestamp,
+  });
+
+  if (insertError) {
+    log.error('Error storing diff', { error: insertError.message });
+    return { status: 'failed', ...pair, hashes, error: insertError.message };
+  }
+  if (duplicate) {
+    log.info('Diff stored as a duplicate', { duplicate_of: duplicate.change_id, similarity: duplicate.similarity });
+    return { status: 'duplicate', ...pair, hashes, diff: diffJson, duplicate_of: duplicate.change_id };
+  }
+  log.info('Diff stored', { items: diffJson.items.length });
+  return { status: 'stored', ...pair, hashes, diff: diffJson };
+}
+
+/**
+ * Catch-up mode: diffs every consecutive pair of snapshots that has no change recorded yet,
+ * oldest first, so each summary is written knowing the one before it.
+ * @param {Object} storage - Storage backend (see services/storage.js)
+ * @param {Object} openai - OpenAI client instance
+ * @param {Object} differ - Model used for computing diff
+ * @param {Object} options - Optional settings
+ * @param {string} options.sourceId - Only backfill this source (default: every active source)
+ * @param {string} options.since - Only snapshots captured at or after this ISO date
+ * @param {string} options.until - Only snapshots captured at or before this ISO date
+ * @param {number} options.concurrency - Sources processed at once; pairs of one source always go in order
+ * @param {Object} options.logger - Logger from createLogger (default: shared logger)
+ * @returns {Array<Object>} One { source_id, url, status, pairs, error } per source, pairs being the outcome of each pair
+ */
+async function backfillDiffs(storage, openai, differ, options = {}) {
+  const log = options.logger || logger;
+  const sources = await getActiveSources(storage, options.sourceId, log);
+  if (!sources) {
+    return [];
+  }
+
+  const poolOptions = { ...getPoolOptions(), ...options };
+  log.info('Backfilling sources', { sources: sources.length, since: options.since, until: options.until });
+  const results = await runPool(sources, (source, index, signal) => {
+    const sourceLog = sourceLogger(log, source);
+    return backfillSource(guardWrites(storage, signal, sourceLog), openai, differ, source, options, sourceLog);
+  }, poolOptions);
+  return results.map((result) => toSourceOutcome(result, log));
+}
+
+/**
+ * Walks the snapshots of one source in chronological order and diffs each missing pair.
+ * @param {Object} storage - Storage backend (see services/storage.js)
+ * @param {Object} openai - OpenAI client instance
+ * @param {Object} differ - Model used for computing diff
+ * @param {Object} source - Source row with id and url
+ * @param {Object} options - { since, until }
+ * @param {Object} log - Logger for this source
+ * @returns {Object} { status, pairs }: 'failed' if the walk stopped on a failed pair, 'skipped' if there was nothing to walk
+ */
+async function backfillSource(storage, openai, differ, source, options, log) {
+  const { data: snapshots, error: snapshotsError } = await storage.listSnapshots(source.url, options);
+  if (snapshotsError) {
+    throw new Error(`Error listing snapshots for ${source.url}: ${snapshotsError.message}`);
+  }
+  if (snapshots.length < 2) {
+    log.info('Skipping source: fewer than 2 snapshots in range');
+    return { status: 'skipped', pairs: [] };
+  }
+  log.info('Backfilling source', { pairs: snapshots.length - 1 });
+
+  // Context for the first pair: the last change recorded before it
+  const { data: previousChange } = await storage.getLatestChange(source.id, { before: snapshots[0].captured_at });
+  return walkSnapshotPairs(storage, openai, differ, source, snapshots, previousChange?.diff?.summary || '', log);
+}
+
+/**
+ * Diffs each consecutive pair of the given snapshots that has no change recorded yet, oldest first,
+ * so each summary is written knowing the one before it.
+ * @param {Object} storage - Storage backend (see services/storage.js)
+ * @param {Object} openai - OpenAI client instance
+ * @param {Object} differ - Model used for computing diff
+ * @param {Object} source - Source row with id and url
+ * @param {Array<Object>} snapshots - Snapshots with id and captured_at, oldest first
+ * @param {string} latestSummary - Summary of the change before the first pair, if any
+ * @param {Object} log - Logger for this source
+ * @returns {Object} { status, pairs }: 'failed' if the walk stopped on a failed pair, else 'stored' or 'no_changes'
+ */
+async function walkSnapshotPairs(storage, openai, differ, source, snapshots, latestSummary, log) {
+  const pairs = [];
+  let snapshotOld = null;
+  for (let i = 1; i < snapshots.length; i++) {
+    // Already diffed pairs are skipped before their content is even fetched
+    if (await diffExists(storage, snapshots[i - 1].id, snapshots[i].id, log)) {
+      const { data: existing } = await storage.getChangeForPair(snapshots[i - 1].id, snapshots[i].id);
+      latestSummary = existing?.diff?.summary || latestSummary;
+      pairs.push({ status: 'exists', snapshot_id1: snapshots[i - 1].id, snapshot_id2: snapshots[i].id });
+      snapshotOld = null;
       continue;
     }
 
-    // Check if diff already exists
-    const exists = await diffExists(supabase, snapshotOld.id, snapshotNew.id);
-    if (exists) {
-      console.log(`Diff already exists for ${source.url} between snapshots ${snapshotOld.id} and ${snapshotNew.id}`);
+    snapshotOld = snapshotOld || await getSnapshot(storage, snapshots[i - 1].id, log);
+    const snapshotNew = await getSnapshot(storage, snapshots[i].id, log);
+    if (!snapshotOld || !snapshotNew) {
+      pairs.push({ status: 'failed', snapshot_id1: snapshots[i - 1].id, snapshot_id2: snapshots[i].id, error: 'Snapshot could not be fetched' });
+      snapshotOld = snapshotNew;
       continue;
     }
 
-    // Store the diff as a JSONB object
-    const { error: insertError } = await supabase
-      .from('changes')
-      .insert({
-        source_id: source.id,
-        snapshot_id1: snapshotOld.id,
-        snapshot_id2: snapshotNew.id,
-        diff: diffJson, // Store the JSON object directly as JSONB
-        timestamp: new Date().toISOString(),
-      });
-
-    if (insertError) {
-      console.error(`Error storing diff for ${source.url}:`, insertError.message);
-    } else {
-      console.log(`Diff stored for ${source.url}`);
+    // The change is dated when the newer snapshot was captured, to keep the log in chronological order
+    const result = await diffSnapshotPair(
+      storage, openai, differ, source, snapshotOld, snapshotNew, { latestSummary, timestamp: snapshots[i].captured_at, log }
+    );
+    pairs.push(result);
+    if (result.status === 'failed') {
+      // Later summaries would be written without this one as context: stop here and retry on the next run
+      log.error('Stopping on a failed pair', { snapshot_id: snapshotNew.id });
+      return { status: 'failed', pairs, error: result.error };
     }
+    if (result.status === 'stored') {
+      latestSummary = result.diff.summary;
+    }
+    snapshotOld = snapshotNew;
+  }
+  return { status: pairs.some((pair) => pair.status === 'stored') ? 'stored' : 'no_changes', pairs };
+}
+
+/**
+ * Fetches one snapshot with its content.
+ * @param {Object} storage - Storage backend (see services/storage.js)
+ * @param {number} id - Snapshot ID
+ * @param {Object} log - Logger
+ * @returns {Object|null} Snapshot with id and content, or null on error
+ */
+async function getSnapshot(storage, id, log = logger) {
+  const { data, error } = await storage.getSnapshot(id);
+
+  if (error) {
+    log.error('Error fetching snapshot', { snapshot_id: id, error: error.message });
+    return null;
   }
+  return data;
 }
 
 /**
  * Checks if a diff already exists for the given snapshot pair.
- * @param {Object} supabase - Supabase client instance
+ * @param {Object} storage - Storage backend (see services/storage.js)
  * @param {number} snapshotId1 - Older snapshot ID
  * @param {number} snapshotId2 - Newer snapshot ID
+ * @param {Object} log - Logger
  * @returns {boolean} True if diff exists
  */
-async function diffExists(supabase, snapshotId1, snapshotId2) {
-  const { data, error } = await supabase
-    .from('changes')
-    .select('id')
-    .eq('snapshot_id1', snapshotId1)
-    .eq('snapshot_id2', snapshotId2)
-    .limit(1);
+async function diffExists(storage, snapshotId1, snapshotId2, log = logger) {
+  const { data, error } = await storage.getChangeForPair(snapshotId1, snapshotId2);
 
   if (error) {
-    console.error('Error checking existing diff:', error.message);
+    log.error('Error checking existing diff', { error: error.message });
     return false; // Default to false on error to proceed with insertion
   }
 
-  return data.length > 0;
+  return !!data;
 }
 
 /**
- * Extracts text from snapshot content.
- * @param {string} content - Snapshot content (JSON or raw)
- * @returns {string} Extracted text
+ * Gets a human-readable change summary from the LLM as a JSON object with "summary" and "items" keys.
+ * @param {Object} openai - OpenAI client instance
+ * @param {string} model - Model to consume through OpenAI sdk
+ * @param {string} oldText - Older snapshot text
+ * @param {string} newText - Newer snapshot text
+ * @param {string} url - Source URL for context
+ * @param {string} latestSummary - Latest summary for this source if any
+ * @param {Object|null} part - { index, total } when the changes are summarized over several chunks
+ * @param {Object} log - Logger
+ * @param {Object} template - Differ prompt template from resolvePrompt (default: the default profile's)
+ * @param {string} examples - Reviewer corrections of the source, from getReviewExamples (default none)
+ * @returns {Object|null} Response validated against CHANGE_SUMMARY_SCHEMA, or null if the call failed or no valid response came back
  */
-function extractText(content) {
+async function getLLMChangeSummary(openai, model, oldText, newText, url, latestSummary = '', part = null, log = logger, template = resolvePrompt('differ'), examples = '') {
+  const prompt = renderPrompt(template, {
+    url,
+    latest_summary: latestSummary,
+    review_examples: examples,
+    part,
+    part_index: part?.index,
+    part_total: part?.total,
+    old_text: oldText,
+    new_text: newText,
+  });
+
   try {
-    const json = JSON.parse(content);
-    return json.textContent || '';
-  } catch (e) {
-    console.log('Falling back to raw text:', e.message);
-    return content; // Assume plain text if not JSON
+    log.debug('Sending request to LLM', { model, prompt: `${template.name}@${template.version}`, prompt_chars: prompt.user.length });
+    // Invalid or truncated answers are repaired or retried shorter; nothing is salvaged from them
+    const { data, response } = await createStructured(openai, {
+      model: model, // defined in change-job.js
+      messages: [
+        { role: 'system', content: prompt.system },
+        { role: 'user', content: prompt.user },
+      ],
+      temperature: 0,
+      response_format: {
+        type: "json_schema",
+        json_schema: {
+          name: "ChangeSummary",
+          schema: CHANGE_SUMMARY_SCHEMA
+        }
+      }
+    }, { logger: log, validate: (parsed) => (parsed.summary.trim() ? [] : ['$.summary is empty']) });
+    log.debug('LLM responded', { model, finish_reason: response.choices[0].finish_reason, usage: response.usage });
+    return data;
+  } catch (error) {
+    log.error('Error getting LLM summary', { error: error.message });
+    return null; // Return null on error to skip processing
   }
 }
 
 /**
- * Gets a human-readable change summary from the LLM as a JSON object with a single "summary" key.
+ * Max size of each excerpt (old and new) that fits in the differ context window.
+ * @param {Object} differ - Model used for computing diff, with the smallest context size of its providers in tokens
+ * @returns {number} Max chars per text
+ */
+function maxExcerptChars(differ) {
+  // 1 token is roughly 4 characters, so we multiply context window by 4 to get the number of characters allowed in theory
+  // my prompt is 3000 chars give or take, we need to save this space
+  // two huge texts will get inserted in the prompt, we divide space by 6 just to avoid over stuffing the model
+  return Math.round((differ.context * 4 - 3000) / 6);
+}
+
+/**
+ * Summarizes the hunks of a local diff: changed sections are split into chunks that fit the differ context,
+ * each chunk is summarized on its own (map), then the partial summaries are merged into one (reduce).
  * @param {Object} openai - OpenAI client instance
- * @param {string} model - Model to consume through OpenAI sdk
- * @param {string} oldText - Older snapshot text
- * @param {string} newText - Newer snapshot text
+ * @param {Object} differ - Model used for computing diff
+ * @param {Object} textDiff - Result of computeTextDiff
  * @param {string} url - Source URL for context
  * @param {string} latestSummary - Latest summary for this source if any
- * @param {number} trim - Number of characters trimmed from the texts
-* @returns {Object|null} Parsed JSON object with "summary" key or null on error
+ * @param {Object} log - Logger
+ * @param {Object} template - Differ prompt template from resolvePrompt (default: the default profile's)
+ * @param {string} examples - Reviewer corrections of the source, from getReviewExamples (default none)
+ * @returns {Object|null} { diff, llm, prompt }: diff object with "summary", "items" and "coverage" keys, the provider/model
+ * and the prompt template name/version that produced it, or null if any chunk could not be summarized
+ */
+async function summarizeTextDiff(openai, differ, textDiff, url, latestSummary = '', log = logger, template = resolvePrompt('differ'), examples = '') {
+  // Note which provider and model answered each call: with failover, it may not be the primary one
+  const used = [];
+  const observed = {
+    chat: {
+      completions: {
+        create: async (params, options) => {
+          const response = await openai.chat.completions.create(params, options);
+          used.push(response.llm || { provider: null, model: params.model });
+          return response;
+        }
+      }
+    }
+  };
+
+  const chunks = chunkHunks(textDiff.hunks, maxExcerptChars(differ));
+  const coverage = {
+    sections: textDiff.hunks.length,
+    chunks: [],
+  };
+  const summaries = [];
+  const items = [];
+
+  for (const [index, chunk] of chunks.entries()) {
+    const part = chunks.length > 1 ? { index: index + 1, total: chunks.length } : null;
+    if (part) {
+      log.info('Summarizing chunk', { chunk: part.index, chunks: part.total, sections: chunk.map((h) => h.section) });
+    }
+    const partial = await getLLMChangeSummary(
+      observed, differ.model, formatExcerpt(chunk, 'old'), formatExcerpt(chunk, 'new'), url, latestSummary, part, log, template, examples
+    );
+    if (!partial || !partial.summary) {
+      // Storing a diff with a hole in it would hide that change for good: leave the pair for the next run
+      log.error('Chunk could not be summarized, skipping this snapshot pair', { chunk: index + 1, chunks: chunks.length });
+      return null;
+    }
+    const noChanges = partial.summary.toLowerCase().includes('no significant changes');
+    coverage.chunks.push({
+      sections: chunk.map((hunk) => hunk.section),
+      old_lines: lineRange(chunk, 'old'),
+      new_lines: lineRange(chunk, 'new'),
+      result: noChanges ? 'no_significant_changes' : 'changes',
+    });
+    if (!noChanges) {
+      summaries.push(partial.summary);
+      items.push(...partial.items);
+    }
+  }
+
+  let summary;
+  if (!summaries.length) {
+    summary = 'No significant changes detected.';
+  } else if (summaries.length === 1) {
+    summary = summaries[0];
+  } else {
+    summary = await mergeChangeSummaries(observed, differ.model, summaries, url, log);
+  }
+
+  const unique = (values) => [...new Set(values.filter(Boolean))].join(', ') || null;
+  return {
+    diff: { summary, items: dedupeItems(items), coverage },
+    llm: {
+      provider: unique(used.map((u) => u.provider)),
+      model: unique(used.map((u) => u.model)),
+    },
+    prompt: { name: template.name, version: template.version },
+  };
+}
+
+/**
+ * Drops change items reported twice, e.g. by two chunks sharing context lines.
+ * @param {Array<Object>} items - Change items in document order
+ * @returns {Array<Object>} Items with unique titles
  */
-async function getLLMChangeSummary(openai, model, oldText, newText, url, latestSummary = '', trim) {
-  const systemPrompt = `
-  You are a helpful assistant that strictly follows instructions. 
-  Do not repeat yourself.
-  Answer in 500 words or fewer. NEVER go above 2000 characters no matter what.
-  <Task>
-    Compare the following two texts from the documentation at ${url} and summarize the MEANINGFUL changes between the two texts in a concise, human-readable format.
-    If no significant changes are found, state "No significant changes detected." in the summary.
-    If there are significant changes, summarize them according to the rules below.
-  </Task>
-  `;
-  const userPrompt = `
-    <Context>
-    Think hard: what a technical audience can't miss about this update?
-    In this context, significant changes can be many things: breaking changes, security updates, performance improvements, new options or features or models added, new dates for a migration or sunset, extended support, change of dates related to features or APIs, deprecations, removed field, renamed field, retired dates, end of life, end of support...  
-    This documentation page is most likely a changelog, or release note, or API specs.
-    ${latestSummary ? `\nHere's the previous change summary for context (DO NOT REPEAT these changes in your summary):\n-------\n${latestSummary}\n-------\n` : ''}
-    </Context>
-    <Rules>
-    1. Remember your latest change summary if any, making sure to add value to the audience before adding another change to the log.
-    2. Ignore minor formatting or whitespace differences and focus on content updates, additions, or removals.
-    3. Ignore the document "last updated date", irrelevant to the point.
-    4. Ignore marketing events or other promotional content.
-    5. No need to count items on the page. No need to count events or items on the page.
-    6. If it's an API, prioritize new/removed endpoints in your summary.
-    7. If a field is added or removed at once in multiple APIs, summarize the change as one. 
-    8. If no significant changes are found, state "No significant changes detected." in the summary.
-    IMPORTANT
-    - Be aware the two texts come from headless browser captures, and variations may arise from scraping or storage differences.
-    ${trim > 0 ? `\n- The texts were trimmed to ${trim} chars to avoid overfilling the model context window.` : ''}
-    </Rules>
-    <Format>
-    Limit your summary to 500 words or fewer. NEVER go above 2000 characters no matter what. 
-    Respond with a JSON object containing only the "summary" key with the change summary as a string. Do not include any additional JSON keys beyond "summary".
-    </Format>
-    Compare the following two texts now:
-    ---------
-    <Old text>
-    ${oldText}
-    ${trim > 0 ? `\n The text above was trimmed to ${trim} chars to avoid overfilling the model context window.` : ''}
-    </Old text>
-    ---------
-    <New text>
-    ${newText}
-    ${trim > 0 ? `\n The text above was trimmed to ${trim} chars to avoid overfilling the model context window.` : ''}
-    </New text>
-    Now, compare the above two texts from the documentation at ${url} and summarize the MEANINGFUL changes between the two texts in a concise, human-readable format.
-    REMEMBER:
-    - If no significant changes are found, state "No significant changes detected." in the summary.
-    - If there are significant changes, summarize them according to the rules given above.
-    ${latestSummary ? `\n- Here's your latest change summary for context (DO NOT REPEAT these changes in your new summary):\n-------\n${latestSummary}\n-------\n` : ''}
+function dedupeItems(items) {
+  const seen = new Set();
+  return items.filter((item) => {
+    const key = `${item.title}`.toLowerCase().replace(/\W+/g, ' ').trim();
+    if (seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+}
+
+/**
+ * Range covered by one side of a chunk, e.g. "12-80", in segments of the normalized text: blank and volatile lines
+ * are not counted, so these are not line numbers of the captured page.
+ * @param {Array<Object>} chunk - Hunks of the chunk
+ * @param {string} side - 'old' or 'new'
+ * @returns {string} First and last segment numbers (1-based)
+ */
+function lineRange(chunk, side) {
+  const first = chunk[0];
+  const last = chunk[chunk.length - 1];
+  const start = side === 'old' ? first.oldStart : first.newStart;
+  const end = side === 'old' ? last.oldStart + last.oldLines.length : last.newStart + last.newLines.length;
+  return `${start + 1}-${end}`;
+}
+
+/**
+ * Merges partial change summaries of the same page into a single summary.
+ * @param {Object} openai - OpenAI client instance
+ * @param {string} model - Model to consume through OpenAI sdk
+ * @param {string[]} summaries - Partial summaries, in document order
+ * @param {string} url - Source URL for context
+ * @param {Object} log - Logger
+ * @returns {string} Merged summary; the partial summaries joined together if the LLM call fails
+ */
+async function mergeChangeSummaries(openai, model, summaries, url, log = logger) {
+  const joined = summaries.join('\n\n');
+  const prompt = `
+    Below are ${summaries.length} partial change summaries for the documentation at ${url}, each covering different sections of the same update.
+    Merge them into a single concise, human-readable summary of the MEANINGFUL changes.
+    Keep every distinct change, merge duplicates, and do not add anything that is not in the partial summaries.
+    Limit your summary to 500 words or fewer. NEVER go above 2000 characters no matter what.
+    Respond with a JSON object containing only the "summary" key with the merged summary as a string.
+    ${summaries.map((summary, index) => `<Part ${index + 1}>\n${summary}\n</Part ${index + 1}>`).join('\n')}
   `.trim();
 
   try {
-    console.log('Now sending request to LLM:', model);
-    console.log('userPrompt length', userPrompt.length);
-    const response = await openai.chat.completions.create({
-      model: model, // defined in change-job.js
+    log.info('Merging partial summaries', { summaries: summaries.length, model });
+    const { data: merged } = await createStructured(openai, {
+      model: model,
       messages: [
-        { role: 'system', content: systemPrompt },
-        { role: 'user', content: userPrompt },
+        { role: 'system', content: 'You are a helpful assistant that strictly follows instructions and provides structured JSON responses.' },
+        { role: 'user', content: prompt },
       ],
       temperature: 0,
       response_format: {
@@ -231,164 +678,138 @@ async function getLLMChangeSummary(openai, model, oldText, newText, url, latestS
           }
         }
       }
-    });
-
-    const jsonString = response.choices[0].message.content;
-    const finishReason = response.choices[0].finish_reason;
-    console.log('LLM finish reason:', finishReason);
-    
-    // Handle truncated JSON when finish_reason is "length"
-    if (finishReason === 'length') {
-      console.log('Response was truncated due to length. Creating clean summary object...');
-      // Extract any text content we can from the truncated response
-      let extractedText = "";
-      try {
-        // Try to extract text between quotes after "summary":
-        const summaryMatch = jsonString.match(/"summary"\s*:\s*"([^"]+)/);
-        if (summaryMatch && summaryMatch[1]) {
-          extractedText = summaryMatch[1].trim();
-          // Limit to a reasonable length and add ellipsis
-          if (extractedText.length > 40000) {
-            extractedText = extractedText.substring(0, 40000) + "...";
-          }
-        }
-      } catch (e) {
-        // If extraction fails, use default message
-      }
-      
-      // Create a clean object with the extracted text or default message
-      return {
-        summary: extractedText || "Content changes detected, but the summary was too long to process completely."
-      };
-    } else {
-      // Normal parsing for complete responses
-      try {
-        return JSON.parse(jsonString);
-      } catch (parseError) {
-        console.error('Error parsing JSON response:', parseError.message);
-        return { summary: "Error parsing change summary response." };
-      }
+    }, { logger: log });
+    if (merged.summary) {
+      return merged.summary;
     }
+    log.warn('Merged summary is missing, keeping partial summaries as is');
   } catch (error) {
-    console.error('Error getting LLM summary:', error.message);
-    return null; // Return null on error to skip processing
+    log.error('Error merging partial summaries, keeping them as is', { error: error.message });
   }
+  return joined;
 }
 
 /**
  * TEST FUNCTION: Processes specific snapshots with verbose logging
- * @param {Object} supabase - Supabase client instance
+ * @param {Object} storage - Storage backend (see services/storage.js)
  * @param {Object} openai - OpenAI client instance
  * @param {Object} differ - Model used for computing diff
  * @param {number} snapshotId1 - Older snapshot ID
  * @param {number} snapshotId2 - Newer snapshot ID
+ * @param {Object} options - Optional settings
+ * @param {Object} options.logger - Logger from createLogger (default: shared logger)
+ * @returns {Object|null} The change record that would be stored, or null if there is none
  */
 
-async function testDiff(supabase, openai, differ, snapshotId1, snapshotId2) {
-  console.log('\n=== STARTING TEST DIFF PROCESS ===');
-  console.log(`Processing snapshots ${snapshotId1} vs ${snapshotId2}`);
-
-  // Get both snapshots by ID
-  console.log('\n1. Fetching specific snapshots...');
-  const { data: snapshots, error: snapshotsError } = await supabase
-    .from('dom_snapshots')
-    .select('id, content, url')
-    .in('id', [snapshotId1, snapshotId2]);
+async function testDiff(storage, openai, differ, snapshotId1, snapshotId2, options = {}) {
+  let log = (options.logger || logger).child({ correlation_id: crypto.randomUUID(), snapshot_id1: snapshotId1, snapshot_id2: snapshotId2 });
+  log.info('1. Fetching specific snapshots');
+  const { data: snapshots, error: snapshotsError } = await storage.getSnapshotsByIds([snapshotId1, snapshotId2]);
 
   if (snapshotsError || snapshots.length !== 2) {
-    console.error('Error fetching snapshots:', snapshotsError?.message || 'Missing snapshots');
-    return;
+    log.error('Error fetching snapshots', { error: snapshotsError?.message || 'Missing snapshots' });
+    return null;
   }
 
   const [snapshotOld, snapshotNew] = snapshots.sort((a, b) => a.id - b.id);
-  console.log(`2. Retrieved snapshots for URL: ${snapshotOld.url}`);
-  console.log(`   Old snapshot ID: ${snapshotOld.id}, New snapshot ID: ${snapshotNew.id}`);
-
-  // Extract text with verbose logging
-  console.log('\n3. Extracting text content...');
-  let textOld = extractText(snapshotOld.content);
-  let textNew = extractText(snapshotNew.content);
-  console.log(`   Old text length: ${textOld.length} chars, which is roughly ${Math.round(textOld.length/4)} tokens`);
-  console.log(`   New text length: ${textNew.length} chars, which is roughly ${Math.round(textNew.length/4)} tokens`);
-
-  // 1 token is roughly 4 characters, so we multiply context window by 4 to get the number of characters allowed in theory
-  // my prompt is 3000 chars give or take, we need to save this space
-  // two huge texts will get inserted in the prompt, we divide space by 6 just to avoid over stuffing the model
+  log = log.child({ url: snapshotOld.url });
+  log.info('2. Retrieved snapshots');
 
-  const maxChars = Math.round((differ.context * 4 - 3000) / 6);
-  console.log('We re allowed up to', maxChars, 'chars per text')
-  let trim = 0;
-  if (textOld.length > maxChars) {
-    textOld = textOld.slice(0, maxChars);
-    trim = maxChars;
-    console.log('TextOld was too long, trimmed to', textOld.length, 'chars, which is roughly', Math.round(textOld.length/4), 'tokens')
-  }
-  if (textNew.length > maxChars) {
-    textNew = textNew.slice(0, maxChars);
-    trim = maxChars;
-    console.log('TextNew was too long, trimmed to', textNew.length, 'chars, which is roughly', Math.round(textNew.length/4), 'tokens')
-  }  
-  // Get associated source
-  console.log('\n4. Finding source for URL...');
-  const { data: source, error: sourceError } = await supabase
-    .from('sources')
-    .select('id')
-    .eq('url', snapshotOld.url)
-    .eq('is_active', true)
-    .single();
+  // Get associated source, whose rules apply to the normalization
+  const { data: source, error: sourceError } = await storage.getActiveSourceByUrl(snapshotOld.url);
 
   if (sourceError || !source) {
-    console.error('Source not found or inactive:', sourceError?.message || 'No active source');
-    return;
+    log.error('Source not found or inactive', { error: sourceError?.message || 'No active source' });
+    return null;
   }
-  console.log(`   Found source ID: ${source.id}`);
+  log = log.child({ source_id: source.id });
+  log.info('3. Found source');
+
+  // Normalize text with verbose logging
+  const normalizedOld = normalizeSnapshot(snapshotOld.content, source.normalization || {}, log);
+  const normalizedNew = normalizeSnapshot(snapshotNew.content, source.normalization || {}, log);
+  const fullOld = normalizedOld.text;
+  const fullNew = normalizedNew.text;
+  log.info('4. Normalized text content', {
+    old_chars: fullOld.length,
+    old_tokens: Math.round(fullOld.length / 4),
+    new_chars: fullNew.length,
+    new_tokens: Math.round(fullNew.length / 4),
+    raw_changed: normalizedOld.raw_hash !== normalizedNew.raw_hash,
+    normalized_changed: normalizedOld.normalized_hash !== normalizedNew.normalized_hash,
+  });
+
+  const textDiff = computeTextDiff(fullOld, fullNew);
+  if (textDiff.identical) {
+    log.info('Snapshots match after normalization: no LLM call needed, nothing would be stored');
+    return null;
+  }
+  const chunks = chunkHunks(textDiff.hunks, maxExcerptChars(differ));
+  log.info('Local diff computed', {
+    sections: textDiff.hunks.length,
+    added: textDiff.added,
+    removed: textDiff.removed,
+    max_excerpt_chars: maxExcerptChars(differ),
+    chunks: chunks.length,
+  });
 
   // Get latest change summary
-  console.log('\n5. Checking for previous summaries...');
-  const { data: latestChange, error: changeError } = await supabase
-    .from('changes')
-    .select('diff')
-    .eq('source_id', source.id)
-    .order('timestamp', { ascending: false })
-    .limit(1);
+  const { data: latestChange, error: changeError } = await storage.getLatestChange(source.id);
 
-  const latestSummary = latestChange?.[0]?.diff?.summary || '';
-  console.log(`   Previous summary exists: ${!!latestSummary}`);
+  const latestSummary = latestChange?.diff?.summary || '';
+  log.info('5. Checked for previous summaries', { previous_summary: !!latestSummary });
 
   // Generate diff summary
-  console.log('\n6. Generating LLM summary...');
-  const diffJson = await getLLMChangeSummary(openai, differ.model, textOld, textNew, snapshotOld.url, latestSummary, trim);
+  const template = resolvePrompt('differ', source);
+  const examples = await getReviewExamples(storage, source.id, 'differ', { log });
+  log.info('6. Generating LLM summary', { prompt: `${template.name}@${template.version}`, review_examples: !!examples });
+  const result = await summarizeTextDiff(openai, differ, textDiff, snapshotOld.url, latestSummary, log, template, examples);
+  const diffJson = result?.diff;
   
   if (!diffJson) {
-    console.error('7. Aborting - LLM summary generation failed completely');
-    return;
+    log.error('7. Aborting - LLM summary generation failed completely');
+    return null;
   }
   
   if (!diffJson.summary) {
-    console.error('7. Aborting - LLM returned response but summary is missing');
-    console.error('   Response received:', diffJson);
-    return;
+    log.error('7. Aborting - LLM returned response but summary is missing', { response: diffJson });
+    return null;
   }
 
-  console.log(`   Summary generated (${diffJson.summary.length} chars):`, diffJson.summary.substring(0, 100) + '...');
+  log.info('Summary generated', {
+    summary_chars: diffJson.summary.length,
+    summary: diffJson.summary.substring(0, 100),
+    items: diffJson.items.map((item) => `[${item.severity_hint}] ${item.title}${item.affected_api ? ` (${item.affected_api})` : ''}${item.effective_date ? `, effective ${item.effective_date}` : ''}`),
+    coverage: diffJson.coverage.chunks,
+    provider: result.llm.provider,
+    model: result.llm.model,
+  });
 
   // Check existing diffs
-  console.log('\n7. Checking for existing diff...');
-  const exists = await diffExists(supabase, snapshotId1, snapshotId2);
-  console.log(`   Diff already exists: ${exists}`);
-
+  const exists = await diffExists(storage, snapshotId1, snapshotId2, log);
+  log.info('7. Checked for existing diff', { exists });
+
+  const record = {
+    source_id: source.id,
+    snapshot_id1: snapshotId1,
+    snapshot_id2: snapshotId2,
+    diff: diffJson,
+    differ_provider: result.llm.provider,
+    differ_model: result.llm.model,
+    differ_prompt_name: result.prompt.name,
+    differ_prompt_version: result.prompt.version,
+    snapshot_hashes: {
+      old: { raw: normalizedOld.raw_hash, normalized: normalizedOld.normalized_hash },
+      new: { raw: normalizedNew.raw_hash, normalized: normalizedNew.normalized_hash },
+    },
+    timestamp: new Date().toISOString()
+  };
   if (!exists) {
-    console.log('\n8. Diff summary that would be stored:');
-    console.log(JSON.stringify({
-      source_id: source.id,
-      snapshot_id1: snapshotId1,
-      snapshot_id2: snapshotId2,
-      diff: diffJson,
-      timestamp: new Date().toISOString()
-    }, null, 2));
+    log.info('8. Diff summary that would be stored', { record });
   }
 
-  console.log('\n=== TEST PROCESS COMPLETE ===\n');
+  log.info('Test process complete');
+  return record;
 }
 
-module.exports = { computeDiffs, testDiff };
\ No newline at end of file
+module.exports = { computeDiffs, backfillDiffs, testDiff, summarizeTextDiff, getLLMChangeSummary };
\ No newline at end of file
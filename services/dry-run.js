@@ -0,0 +1,32 @@
+/**
+ * Dry-run wrapper for the storage layer: reads go through, writes are only logged
+ */
+const { logger } = require('./logger');
+
+// Storage methods that write
+const WRITE_METHOD = /^(insert|update|upsert|delete)/;
+
+/**
+ * Creates a storage backend that never writes: insert and update calls are logged
+ * and resolve as if they had succeeded, so the job can run end to end without touching the database.
+ * @param {Object} storage - Storage backend (see services/storage.js)
+ * @param {Object} log - Logger (default: shared logger)
+ * @returns {Object} Read-only storage backend
+ */
+function createDryRunStorage(storage, log = logger) {
+  const dryRun = {};
+  for (const [name, method] of Object.entries(storage)) {
+    if (typeof method !== 'function' || !WRITE_METHOD.test(name)) {
+      dryRun[name] = method;
+      continue;
+    }
+    dryRun[name] = async (...args) => {
+      log.info('[dry-run] Skipped write', { method: name, args });
+      // Inserts give back the row they were passed, as a successful insert would
+      return { data: name.startsWith('insert') ? args[0] : null, error: null };
+    };
+  }
+  return dryRun;
+}
+
+module.exports = { createDryRunStorage, WRITE_METHOD };
@@ -0,0 +1,259 @@
+/**
+ * Offline evaluation of the differ and classifier against fixture snapshot pairs with known changes
+ */
+const fs = require('fs');
+const path = require('path');
+const { computeTextDiff } = require('./text-diff');
+const { normalizeSnapshot } = require('./normalize');
+const { summarizeTextDiff } = require('./diff-computation');
+const { getLLMClassification } = require('./classification');
+const { resolvePrompt } = require('./prompts');
+const { loadTaxonomy } = require('./taxonomy');
+const { PROVIDERS, getProviderOrder, createFailoverModel } = require('./providers');
+const { createRateLimitedClient, createRateLimiter } = require('./rate-limiter');
+const { createRecordingClient, createReplayClient } = require('./replay-client');
+const { logger } = require('./logger');
+
+const DEFAULT_FIXTURES_DIR = path.join(__dirname, '..', 'eval', 'fixtures');
+const DEFAULT_RECORDINGS_DIR = path.join(__dirname, '..', 'eval', 'recordings');
+
+/**
+ * Creates the differ and classifier for an evaluation.
+ * @param {Object} options - Optional settings
+ * @param {string} options.mode - 'replay' (recorded responses only, the default), 'record' (call the providers and save
+ * their responses) or 'live' (call the providers)
+ * @param {string[]} options.providers - Provider names, most preferred first (default from env); replay uses the first one
+ * @param {string} options.model - Model to use on the first provider instead of its default one
+ * @param {string} options.recordingsDir - Recordings directory (default eval/recordings)
+ * @param {Object} options.logger - Logger from createLogger (default: shared logger)
+ * @returns {Object} { differ, classifier }, with the same shape as createFailoverModel's
+ */
+function createEvaluationModels(options = {}) {
+  const mode = options.mode || 'replay';
+  const recordingsDir = options.recordingsDir || DEFAULT_RECORDINGS_DIR;
+  const log = options.logger || logger;
+
+  const create = (role) => {
+    if (mode === 'replay') {
+      // No API key needed: the model names only have to match the ones the responses were recorded with
+      const provider = (options.providers || getProviderOrder(role))[0];
+      if (!PROVIDERS[provider]) {
+        throw new Error(`Unknown LLM provider "${provider}" for ${role}`);
+      }
+      const model = options.model || PROVIDERS[provider][role].model;
+      return { provider, model, context: PROVIDERS[provider][role].context, client: createReplayClient(recordingsDir) };
+    }
+    const limiter = createRateLimiter(undefined, { logger: log });
+    const model = createFailoverModel(role, {
+      order: options.providers,
+      model: options.model,
+      wrap: (client) => createRateLimitedClient(client, limiter),
+      logger: log,
+    });
+    return mode === 'record' ? { ...model, client: createRecordingClient(model.client, recordingsDir) } : model;
+  };
+
+  if (!['replay', 'record', 'live'].includes(mode)) {
+    throw new Error(`Unknown evaluation mode "${mode}", expected replay, record or live`);
+  }
+  return { differ: create('differ'), classifier: create('classifier') };
+}
+
+/**
+ * Reads the fixture cases. Each JSON file holds { url, prompt_profile, normalization, latest_summary, old_text, new_text, expected },
+ * texts being strings or arrays of lines, and expected being { no_changes, classification, items: [{ match, classification }] }
+ * where match lists words that must all appear in one reported change item.
+ * @param {string} dir - Fixtures directory (default eval/fixtures)
+ * @returns {Array<Object>} Fixtures, with their file name (without .json) as id
+ */
+function loadFixtures(dir = DEFAULT_FIXTURES_DIR) {
+  const toText = (value) => (Array.isArray(value) ? value.join('\n') : value || '');
+  return fs.readdirSync(dir)
+    .filter((file) => file.endsWith('.json'))
+    .sort()
+    .map((file) => {
+      const fixture = JSON.parse(fs.readFileSync(path.join(dir, file), 'utf8'));
+      return { ...fixture, id: path.basename(file, '.json'), old_text: toText(fixture.old_text), new_text: toText(fixture.new_text) };
+    });
+}
+
+/**
+ * Runs the differ and the classifier over every fixture, the way the job does, and scores the output.
+ * @param {Object} differ - Model used for computing diff
+ * @param {Object} classifier - Model used for classifying changes
+ * @param {Object} options - Optional settings
+ * @param {string} options.fixturesDir - Fixtures directory (default eval/fixtures)
+ * @param {string} options.mode - Mode the models were created with, reported as is
+ * @param {string} options.taxonomy - Taxonomy to classify with (default TAXONOMY, see services/taxonomy.js)
+ * @param {Object} options.logger - Logger from createLogger (default: shared logger)
+ * @returns {Object} Report { generated_at, mode, differ, classifier, prompts, taxonomy, replayed, totals, cases }, replayed
+ * being { responses, references } when the models answered from recordings, else null
+ */
+async function runEvaluation(differ, classifier, options = {}) {
+  const log = options.logger || logger;
+  const taxonomy = loadTaxonomy(options.taxonomy);
+  const fixtures = loadFixtures(options.fixturesDir);
+  const cases = [];
+
+  for (const fixture of fixtures) {
+    const caseLog = log.child({ case: fixture.id });
+    const source = { id: fixture.id, url: fixture.url, prompt_profile: fixture.prompt_profile, prompt_templates: fixture.prompt_templates };
+    const output = { no_changes: false, summary: null, classification: null, items: [], prompts: {}, error: null };
+
+    try {
+      const differTemplate = resolvePrompt('differ', source);
+      output.prompts.differ = `differ/${differTemplate.name}@${differTemplate.version}`;
+
+      const rules = fixture.normalization || {};
+      const textDiff = computeTextDiff(normalizeSnapshot(fixture.old_text, rules, caseLog).text, normalizeSnapshot(fixture.new_text, rules, caseLog).text);
+      if (textDiff.identical) {
+        output.no_changes = true;
+      } else {
+        const result = await summarizeTextDiff(differ.client, differ, textDiff, fixture.url, fixture.latest_summary || '', caseLog, differTemplate);
+        if (!result || !result.diff.summary) {
+          throw new Error('LLM summary failed');
+        }
+        output.summary = result.diff.summary;
+        output.items = result.diff.items;
+        output.no_changes = result.diff.summary.toLowerCase().includes('no significant changes');
+      }
+
+      if (!output.no_changes) {
+        const labels = await getLLMClassification(classifier.client, classifier, { summary: output.summary, items: output.items }, source, caseLog, taxonomy);
+        output.classification = labels.classification;
+        output.items = labels.items;
+        output.prompts.classifier = `classifier/${labels.prompt.name}@${labels.prompt.version}`;
+      }
+    } catch (error) {
+      caseLog.error('Evaluation case failed', { error: error.message });
+      output.error = error.message;
+    }
+
+    cases.push({ id: fixture.id, ...output, score: scoreCase(fixture.expected || {}, output) });
+  }
+
+  const prompts = [...new Set(cases.flatMap((c) => Object.values(c.prompts)))];
+  const replayStats = [differ.client.stats, classifier.client.stats].filter(Boolean);
+  return {
+    generated_at: new Date().toISOString(),
+    mode: options.mode || null,
+    differ: { provider: differ.provider, model: differ.model },
+    classifier: { provider: classifier.provider, model: classifier.model },
+    prompts,
+    taxonomy: taxonomy.ref,
+    replayed: replayStats.length ? {
+      responses: replayStats.reduce((total, stats) => total + stats.responses, 0),
+      references: replayStats.reduce((total, stats) => total + stats.references, 0),
+    } : null,
+    totals: summarizeScores(cases),
+    cases,
+  };
+}
+
+/**
+ * Scores one case against what was expected.
+ * @param {Object} expected - { no_changes, classification, items: [{ match, classification }] }
+ * @param {Object} output - { no_changes, classification, items, error }
+ * @returns {Object} { expected_items, found_items, item_labels, correct_item_labels, classification_correct,
+ * false_no_changes, false_changes }
+ */
+function scoreCase(expected, output) {
+  const expectedItems = expected.items || [];
+  const haystacks = output.items.map((item) => `${item.title} ${item.description} ${item.affected_api || ''}`.toLowerCase());
+
+  let found = 0;
+  let labels = 0;
+  let correctLabels = 0;
+  for (const item of expectedItems) {
+    const index = haystacks.findIndex((text) => item.match.every((word) => text.includes(word.toLowerCase())));
+    if (index === -1) continue;
+    found++;
+    if (item.classification) {
+      labels++;
+      if (output.items[index].classification === item.classification) correctLabels++;
+    }
+  }
+
+  return {
+    expected_items: expectedItems.length,
+    found_items: found,
+    item_labels: labels,
+    correct_item_labels: correctLabels,
+    classification_correct: expected.classification ? output.classification === expected.classification : null,
+    false_no_changes: !expected.no_changes && output.no_changes,
+    false_changes: !!expected.no_changes && !output.no_changes && !output.error,
+  };
+}
+
+/**
+ * Aggregates the case scores.
+ * @param {Array<Object>} cases - Scored cases
+ * @returns {Object} Totals: recall, classification and item label accuracy (null when nothing to measure), error and false result counts
+ */
+function summarizeScores(cases) {
+  const sum = (key) => cases.reduce((total, c) => total + Number(c.score[key] || 0), 0);
+  const ratio = (numerator, denominator) => (denominator ? Math.round((numerator / denominator) * 1000) / 1000 : null);
+  const classified = cases.filter((c) => c.score.classification_correct !== null);
+
+  return {
+    cases: cases.length,
+    errors: cases.filter((c) => c.error).length,
+    recall: ratio(sum('found_items'), sum('expected_items')),
+    classification_accuracy: ratio(classified.filter((c) => c.score.classification_correct).length, classified.length),
+    item_label_accuracy: ratio(sum('correct_item_labels'), sum('item_labels')),
+    false_no_changes: sum('false_no_changes'),
+    false_changes: sum('false_changes'),
+  };
+}
+
+/**
+ * Formats a report for the terminal, with the change of each total since a baseline report if given.
+ * @param {Object} report - Report from runEvaluation
+ * @param {Object} baseline - Earlier report to compare with (optional)
+ * @returns {string} Report text
+ */
+function formatReport(report, baseline = null) {
+  const percent = (value) => (value === null || value === undefined ? 'n/a' : `${Math.round(value * 100)}%`);
+  const lines = [
+    `Differ: ${report.differ.provider} (${report.differ.model}), classifier: ${report.classifier.provider} (${report.classifier.model}), prompts: ${report.prompts.join(', ') || 'none'}, taxonomy: ${report.taxonomy || 'none'}, mode: ${report.mode}`,
+    '',
+  ];
+  // Replayed responses only show that the fixtures and the pipeline still agree with the recordings; hand-written
+  // reference answers score 100% whatever the models would answer
+  if (report.replayed) {
+    lines.push(
+      `Replayed ${report.replayed.responses} recorded responses, ${report.replayed.references} of them hand-written reference answers:`,
+      'these scores check the fixtures and the pipeline, not the quality of a model. Use --mode record or live to measure one.',
+      ''
+    );
+  }
+
+  for (const c of report.cases) {
+    const s = c.score;
+    const flags = [s.false_no_changes && 'FALSE NO CHANGES', s.false_changes && 'FALSE CHANGES', c.error && `ERROR: ${c.error}`].filter(Boolean);
+    lines.push(`${c.id.padEnd(32)} items ${s.found_items}/${s.expected_items}  classification ${c.classification || '-'}${s.classification_correct === false ? ' (wrong)' : ''}${flags.length ? `  ${flags.join(', ')}` : ''}`);
+  }
+
+  const totals = report.totals;
+  const rows = [
+    ['Recall of expected changes', 'recall', percent],
+    ['Classification accuracy', 'classification_accuracy', percent],
+    ['Item label accuracy', 'item_label_accuracy', percent],
+    ['False "no significant changes"', 'false_no_changes', String],
+    ['False changes', 'false_changes', String],
+    ['Errors', 'errors', String],
+  ];
+  lines.push('');
+  for (const [label, key, format] of rows) {
+    const before = baseline ? `  (was ${format(baseline.totals[key])})` : '';
+    lines.push(`${label.padEnd(32)} ${format(totals[key])}${before}`);
+  }
+  return lines.join('\n');
+}
+
+module.exports = {
+  createEvaluationModels,
+  loadFixtures,
+  runEvaluation,
+  formatReport,
+};
@@ -0,0 +1,285 @@
+/**
+ * Feeds of classified changes: RSS 2.0, Atom and JSON Feed, per source or for every source
+ */
+const fs = require('fs');
+const path = require('path');
+const { buildChangePayload, escapeHtml } = require('./notifications');
+const { HELD_REVIEW_STATUSES } = require('./review');
+const { logger } = require('./logger');
+
+// Entries per feed, unless FEEDS_LIMIT says otherwise
+const DEFAULT_LIMIT = 50;
+
+// File name suffix and content type of each format
+const FORMATS = {
+  rss: { extension: 'rss', contentType: 'application/rss+xml; charset=utf-8' },
+  atom: { extension: 'atom', contentType: 'application/atom+xml; charset=utf-8' },
+  json: { extension: 'json', contentType: 'application/feed+json; charset=utf-8' },
+};
+
+/**
+ * Builds a feed of the latest classified changes. Duplicates, changes pending review and changes marked as noise
+ * are left out, as they are from notifications.
+ * @param {Object} storage - Storage backend (see services/storage.js)
+ * @param {string} format - 'rss', 'atom' or 'json'
+ * @param {Object} options - Optional settings, see loadFeed
+ * @returns {Object|null} { name, contentType, body, entries }, { notFound: true } if options.sourceId is not an active
+ * source, or null if the changes could not be fetched
+ */
+async function buildFeed(storage, format, options = {}) {
+  if (!FORMATS[format]) {
+    throw new Error(`Unknown feed format "${format}", expected one of ${Object.keys(FORMATS).join(', ')}`);
+  }
+  const loaded = await loadFeed(storage, options);
+  if (!loaded || loaded.notFound) {
+    return loaded;
+  }
+  return renderFeed(format, loaded.feed, loaded.entries);
+}
+
+/**
+ * Writes the RSS, Atom and JSON feeds of every active source, and of all of them together, to a directory:
+ * all.rss, all.atom, all.json, then <source id>.rss and so on.
+ * @param {Object} storage - Storage backend (see services/storage.js)
+ * @param {string} dir - Output directory, created if missing
+ * @param {Object} options - Optional settings
+ * @param {string[]} options.classifications - Only changes with one of these classifications (default: all)
+ * @param {string} options.baseUrl - Public URL the directory is served from, for the feeds' self links
+ * @param {Object} options.logger - Logger from createLogger (default: shared logger)
+ * @returns {Array<Object>} One { feed, status, entries, error } per file, status being 'written' or 'failed'
+ */
+async function writeFeeds(storage, dir, options = {}) {
+  const log = options.logger || logger;
+  const { data: sources, error } = await storage.getActiveSources();
+  if (error) {
+    log.error('Error fetching sources for feeds', { error: error.message });
+    return [{ feed: 'all', status: 'failed', error: error.message }];
+  }
+
+  fs.mkdirSync(dir, { recursive: true });
+  const outcomes = [];
+  for (const sourceId of [null, ...sources.map((source) => source.id)]) {
+    const name = sourceId || 'all';
+    const loaded = await loadFeed(storage, {
+      sourceId: sourceId || undefined,
+      classifications: options.classifications,
+      logger: log,
+    });
+    if (loaded?.notFound) {
+      // A source deactivated since the list was fetched has no feed any more
+      log.info('Skipping feed of an inactive source', { source_id: sourceId });
+      continue;
+    }
+    for (const format of Object.keys(FORMATS)) {
+      const file = `${name}.${FORMATS[format].extension}`;
+      if (!loaded) {
+        outcomes.push({ feed: file, status: 'failed', error: 'Changes could not be fetched' });
+        continue;
+      }
+      const selfUrl = options.baseUrl ? `${options.baseUrl.replace(/\/$/, '')}/${file}` : null;
+      const feed = renderFeed(format, { ...loaded.feed, selfUrl }, loaded.entries);
+      fs.writeFileSync(path.join(dir, file), feed.body);
+      outcomes.push({ feed: file, status: 'written', entries: feed.entries });
+    }
+  }
+  log.info('Feeds written', { dir, feeds: outcomes.filter((o) => o.status === 'written').length, failed: outcomes.filter((o) => o.status === 'failed').length });
+  return outcomes;
+}
+
+/**
+ * Fetches the entries of a feed.
+ * @param {Object} storage - Storage backend (see services/storage.js)
+ * @param {Object} options - Optional settings
+ * @param {string} options.sourceId - Only changes of this active source (default: every active source)
+ * @param {string[]} options.classifications - Only changes with one of these classifications (default: all)
+ * @param {number} options.limit - Entries in the feed (default FEEDS_LIMIT or 50)
+ * @param {string} options.selfUrl - Public URL of the feed itself, if it has one
+ * @param {Object} options.logger - Logger from createLogger (default: shared logger)
+ * @returns {Object|null} { feed, entries }, { notFound: true } if options.sourceId is not an active source, or null if
+ * the changes could not be fetched
+ */
+async function loadFeed(storage, options = {}) {
+  const log = options.logger || logger;
+  const limit = options.limit || Number(process.env.FEEDS_LIMIT) || DEFAULT_LIMIT;
+  const classifications = options.classifications || [];
+
+  const { data: sources, error: sourcesError } = await storage.getActiveSources({ sourceId: options.sourceId });
+  if (sourcesError) {
+    log.error('Error fetching sources for feed', { error: sourcesError.message });
+    return null;
+  }
+  if (options.sourceId && !sources.length) {
+    return { notFound: true };
+  }
+  // Filtered, sorted and cut by the query, which would otherwise stop at the database's row cap
+  const { data: changes, error: changesError } = await storage.listChanges({
+    classified: true,
+    classifications: classifications.length ? classifications : undefined,
+    excludeDuplicates: true,
+    excludeReviewStatuses: HELD_REVIEW_STATUSES,
+    sourceId: options.sourceId,
+    sourceIds: options.sourceId ? undefined : sources.map((source) => source.id),
+    order: 'desc',
+    limit,
+  });
+  if (changesError) {
+    log.error('Error fetching changes for feed', { error: changesError.message });
+    return null;
+  }
+
+  const urls = new Map(sources.map((source) => [source.id, source.url]));
+  const entries = changes.map((change) => toEntry(buildChangePayload(change, urls.get(change.source_id))));
+
+  const source = options.sourceId ? sources[0] : null;
+  const feed = {
+    // Feed ids are as stable as entry ids: a reader must not see a known feed or entry as new
+    id: `urn:daily-changes:${source ? `source:${source.id}` : 'all'}${classifications.length ? `:${[...classifications].sort().join(',')}` : ''}`,
+    name: source ? source.id : 'all',
+    title: `Daily changes${source ? `: ${source.url}` : ''}${classifications.length ? ` (${classifications.join(', ')})` : ''}`,
+    description: `Classified changes of ${source ? source.url : 'every monitored source'}`,
+    link: source ? source.url : null,
+    selfUrl: options.selfUrl || null,
+    // The newest entry dates the feed, so an unchanged feed renders to the same bytes
+    updated: entries[0]?.date || new Date(0).toISOString(),
+  };
+  return { feed, entries };
+}
+
+/**
+ * Renders a feed in one format.
+ * @param {string} format - 'rss', 'atom' or 'json'
+ * @param {Object} feed - Feed metadata from loadFeed
+ * @param {Array<Object>} entries - Entries from loadFeed
+ * @returns {Object} { name, contentType, body, entries }
+ */
+function renderFeed(format, feed, entries) {
+  const render = { rss: renderRss, atom: renderAtom, json: renderJsonFeed }[format];
+  return {
+    name: `${feed.name}.${FORMATS[format].extension}`,
+    contentType: FORMATS[format].contentType,
+    body: render(feed, entries),
+    entries: entries.length,
+  };
+}
+
+/**
+ * Turns a change payload into a feed entry.
+ * @param {Object} change - Change payload from buildChangePayload
+ * @returns {Object} { id, title, url, date, category, text, html }
+ */
+function toEntry(change) {
+  const summary = change.summary || '';
+  const headline = change.items[0]?.title || summary.split(/(?<=[.!?])\s/)[0].slice(0, 120);
+  const extra = change.items.length > 1 ? ` (+${change.items.length - 1} more)` : '';
+  return {
+    id: `urn:uuid:${change.id}`, // never changes, even if the change is reclassified or its summary edited
+    title: `[${change.classification}] ${headline}${extra}`,
+    url: change.url,
+    date: new Date(change.timestamp).toISOString(),
+    category: change.classification,
+    text: [summary, change.explanation].filter(Boolean).join('\n\n'),
+    html: [
+      `<p>${escapeHtml(summary)}</p>`,
+      change.explanation ? `<p><strong>${escapeHtml(change.classification)}</strong>: ${escapeHtml(change.explanation)}</p>` : '',
+      change.items.length
+        ? `<ul>${change.items.map((item) => `<li><strong>${escapeHtml(item.title)}</strong>${item.affected_api ? ` (${escapeHtml(item.affected_api)})` : ''}: ${escapeHtml(item.description)}</li>`).join('')}</ul>`
+        : '',
+      `<p><a href="${escapeHtml(change.url)}">${escapeHtml(change.url)}</a></p>`,
+    ].filter(Boolean).join('\n'),
+  };
+}
+
+/**
+ * Renders an RSS 2.0 feed.
+ * @param {Object} feed - Feed metadata
+ * @param {Array<Object>} entries - Entries, newest first
+ * @returns {string} XML
+ */
+function renderRss(feed, entries) {
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom">',
+    '<channel>',
+    `<title>${escapeHtml(feed.title)}</title>`,
+    // The all feed has no source page: without FEEDS_BASE_URL either, it has no link at all rather than an empty one
+    feed.link || feed.selfUrl ? `<link>${escapeHtml(feed.link || feed.selfUrl)}</link>` : '',
+    `<description>${escapeHtml(feed.description)}</description>`,
+    feed.selfUrl ? `<atom:link href="${escapeHtml(feed.selfUrl)}" rel="self" type="application/rss+xml"/>` : '',
+    `<lastBuildDate>${new Date(feed.updated).toUTCString()}</lastBuildDate>`,
+    ...entries.map((entry) => [
+      '<item>',
+      `<title>${escapeHtml(entry.title)}</title>`,
+      `<link>${escapeHtml(entry.url)}</link>`,
+      `<guid isPermaLink="false">${entry.id}</guid>`,
+      `<pubDate>${new Date(entry.date).toUTCString()}</pubDate>`,
+      `<category>${escapeHtml(entry.category)}</category>`,
+      `<description>${escapeHtml(entry.html)}</description>`,
+      '</item>',
+    ].join('\n')),
+    '</channel>',
+    '</rss>',
+  ].filter(Boolean).join('\n');
+}
+
+/**
+ * Renders an Atom feed.
+ * @param {Object} feed - Feed metadata
+ * @param {Array<Object>} entries - Entries, newest first
+ * @returns {string} XML
+ */
+function renderAtom(feed, entries) {
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<feed xmlns="http://www.w3.org/2005/Atom">',
+    `<id>${feed.id}</id>`,
+    `<title>${escapeHtml(feed.title)}</title>`,
+    `<subtitle>${escapeHtml(feed.description)}</subtitle>`,
+    `<updated>${feed.updated}</updated>`,
+    '<author><name>daily-changes</name></author>',
+    feed.link ? `<link rel="alternate" href="${escapeHtml(feed.link)}"/>` : '',
+    feed.selfUrl ? `<link rel="self" href="${escapeHtml(feed.selfUrl)}"/>` : '',
+    ...entries.map((entry) => [
+      '<entry>',
+      `<id>${entry.id}</id>`,
+      `<title>${escapeHtml(entry.title)}</title>`,
+      `<link rel="alternate" href="${escapeHtml(entry.url)}"/>`,
+      `<updated>${entry.date}</updated>`,
+      `<category term="${escapeHtml(entry.category)}"/>`,
+      `<summary type="text">${escapeHtml(entry.text)}</summary>`,
+      `<content type="html">${escapeHtml(entry.html)}</content>`,
+      '</entry>',
+    ].join('\n')),
+    '</feed>',
+  ].filter(Boolean).join('\n');
+}
+
+/**
+ * Renders a JSON Feed 1.1.
+ * @param {Object} feed - Feed metadata
+ * @param {Array<Object>} entries - Entries, newest first
+ * @returns {string} JSON
+ */
+function renderJsonFeed(feed, entries) {
+  return JSON.stringify({
+    version: 'https://jsonfeed.org/version/1.1',
+    title: feed.title,
+    description: feed.description,
+    ...(feed.link ? { home_page_url: feed.link } : {}),
+    ...(feed.selfUrl ? { feed_url: feed.selfUrl } : {}),
+    items: entries.map((entry) => ({
+      id: entry.id,
+      url: entry.url,
+      title: entry.title,
+      content_html: entry.html,
+      content_text: entry.text,
+      date_published: entry.date,
+      tags: [entry.category],
+    })),
+  }, null, 2);
+}
+
+module.exports = {
+  buildFeed,
+  writeFeeds,
+  FEED_FORMATS: Object.keys(FORMATS),
+};
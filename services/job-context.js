@@ -0,0 +1,68 @@
+/**
+ * Shared setup of the clients used by the jobs and the CLI
+ */
+const crypto = require('crypto');
+const { createStorage } = require('./storage');
+const { createRateLimitedClient, createRateLimiter } = require('./rate-limiter');
+const { createFailoverModel } = require('./providers');
+const { createDryRunStorage } = require('./dry-run');
+const { createLogger } = require('./logger');
+const { getDailyUsage } = require('./run-ledger');
+
+/**
+ * Creates the logger, the storage backend and the differ and classifier models from the environment.
+ * @param {Object} options - Optional settings
+ * @param {string[]} options.providers - Provider names to try, most preferred first (default from env)
+ * @param {string} options.model - Model to use on the primary provider instead of its default one
+ * @param {boolean} options.dryRun - Log database writes instead of performing them
+ * @param {string} options.logFormat - Log format when LOG_FORMAT is not set (default json)
+ * @param {Object} options.storage - Storage backend to use instead of creating one, e.g. the one a server shares between jobs
+ * @returns {Object} { runId, logger, storage, limiter, differ, classifier }
+ */
+function createJobContext(options = {}) {
+  // Every entry of this run carries its id, which is also the id of its job_runs record
+  const runId = crypto.randomUUID();
+  const logger = createLogger({ format: process.env.LOG_FORMAT || options.logFormat }).child({ run_id: runId });
+
+  // Supabase by default, or a local JSON file with STORAGE=file (see services/storage.js)
+  let storage = options.storage || createStorage();
+  if (options.dryRun) {
+    logger.info('Dry run: nothing will be written to the database');
+    storage = createDryRunStorage(storage, logger);
+  }
+
+  // One limiter for the whole job, so the differ and classifier share each model's limits; daily quotas also count
+  // what the earlier runs of the day recorded in job_runs
+  const limiter = createRateLimiter(undefined, { logger, loadDailyUsage: (day) => getDailyUsage(storage, day) });
+  const wrap = (client) => createRateLimitedClient(client, limiter);
+  const modelOptions = { wrap, order: options.providers, model: options.model, logger };
+
+  // Each role fails over between the providers listed in DIFFER_PROVIDERS / CLASSIFIER_PROVIDERS (see services/providers.js)
+  const differ = createFailoverModel('differ', modelOptions); // this model will analyze the difference between two large strings and output a summary in JSON format. Large context matters.
+  const classifier = createFailoverModel('classifier', modelOptions); // this model will review the diff, tag it and explain its classification, all in JSON schema. Smaller models can do.
+
+  return { runId, logger, storage, limiter, differ, classifier };
+}
+
+/**
+ * Logs the LLM usage per model recorded by the limiter.
+ * @param {Object} limiter - Limiter from createRateLimiter
+ * @param {Object} logger - Logger from createLogger
+ */
+function logLimiterStats(limiter, logger) {
+  for (const [model, stats] of Object.entries(limiter.getStats())) {
+    logger.info('LLM usage', {
+      model,
+      requests: stats.requests,
+      retries: stats.retries,
+      rate_limited: stats.rateLimited,
+      errors: stats.errors,
+      prompt_tokens: stats.promptTokens,
+      completion_tokens: stats.completionTokens,
+      avg_latency_ms: Math.round(stats.latencyMs / (stats.requests || 1)),
+      waited_ms: stats.waitedMs,
+    });
+  }
+}
+
+module.exports = { createJobContext, logLimiterStats };
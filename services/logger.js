@@ -0,0 +1,126 @@
+/**
+ * Structured logger: one JSON object per line, with levels, context fields and redaction
+ */
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+
+// Fields whose value is never logged, e.g. apiKey, SCALEWAY_API_KEY, secret, Authorization
+const REDACTED_KEYS = /(api_?key|secret|password|authorization|signature)$/i;
+
+// Credentials that may end up inside messages or error texts
+const SECRET_PATTERNS = [
+  /\bBearer\s+[\w.~+/-]+=*/gi,
+  /\b(sk|pk|rk)-[\w-]{16,}/g,
+  /\bAIza[\w-]{30,}/g, // Google API keys
+  /\beyJ[\w-]+\.[\w-]+\.[\w-]+/g, // JWTs, such as the Supabase anon key
+];
+
+// Strings longer than this are cut, unless LOG_MAX_FIELD_LENGTH says otherwise
+const DEFAULT_MAX_LENGTH = 1000;
+
+// Larger payloads are cut too: arrays keep their first items, objects stop at this depth
+const MAX_ARRAY_ITEMS = 20;
+const MAX_DEPTH = 5;
+
+/**
+ * Creates a logger. Set LOG_LEVEL (debug, info, warn, error) and LOG_FORMAT (json, text) to tune it.
+ * @param {Object} options - Optional settings
+ * @param {string} options.level - Lowest level written (default LOG_LEVEL or info)
+ * @param {string} options.format - 'json' or 'text' for humans (default LOG_FORMAT or json)
+ * @param {number} options.maxLength - Longest string written as is (default LOG_MAX_FIELD_LENGTH or 1000)
+ * @param {Object} options.context - Fields added to every entry, e.g. { run_id }
+ * @param {Function} options.write - (level, line) => void (default console.log, console.error for warn and error)
+ * @param {Object} options.env - Environment variables (default process.env)
+ * @returns {Object} Logger with debug, info, warn, error (message, fields) and child(context)
+ */
+function createLogger(options = {}) {
+  const env = options.env || process.env;
+  const level = options.level || env.LOG_LEVEL || 'info';
+  const format = options.format || env.LOG_FORMAT || 'json';
+  const maxLength = options.maxLength || Number(env.LOG_MAX_FIELD_LENGTH) || DEFAULT_MAX_LENGTH;
+  const context = options.context || {};
+  // console is looked up on every call, so the CLI can still send logs to stderr
+  const write = options.write || ((entryLevel, line) => (LEVELS[entryLevel] >= LEVELS.warn ? console.error : console.log)(line));
+
+  if (!LEVELS[level]) {
+    throw new Error(`Unknown log level "${level}", expected one of ${Object.keys(LEVELS).join(', ')}`);
+  }
+
+  const log = (entryLevel, message, fields = {}) => {
+    if (LEVELS[entryLevel] < LEVELS[level]) {
+      return;
+    }
+    const entry = redact({ time: new Date().toISOString(), level: entryLevel, msg: message, ...context, ...fields }, maxLength);
+    write(entryLevel, format === 'text' ? formatText(entry) : JSON.stringify(entry));
+  };
+
+  return {
+    debug: (message, fields) => log('debug', message, fields),
+    info: (message, fields) => log('info', message, fields),
+    warn: (message, fields) => log('warn', message, fields),
+    error: (message, fields) => log('error', message, fields),
+    /**
+     * Logger adding more context fields, e.g. a correlation id per source.
+     * @param {Object} extra - Fields added to every entry
+     * @returns {Object} Logger
+     */
+    child: (extra) => createLogger({ ...options, level, format, maxLength, write, context: { ...context, ...extra } }),
+  };
+}
+
+/**
+ * Copy of a log entry that is safe to ship: credentials are masked, long strings and large payloads are cut.
+ * @param {*} value - Entry or field value
+ * @param {number} maxLength - Longest string kept as is
+ * @param {number} depth - Current nesting depth
+ * @returns {*} Redacted value
+ */
+function redact(value, maxLength, depth = 0) {
+  if (typeof value === 'string') {
+    const masked = SECRET_PATTERNS.reduce((text, pattern) => text.replace(pattern, '[REDACTED]'), value);
+    return masked.length > maxLength ? `${masked.slice(0, maxLength)}... [${masked.length - maxLength} more chars]` : masked;
+  }
+  if (value instanceof Error) {
+    return redact({ name: value.name, message: value.message, status: value.status }, maxLength, depth);
+  }
+  if (!value || typeof value !== 'object') {
+    return value;
+  }
+  if (depth >= MAX_DEPTH) {
+    return '[Truncated]';
+  }
+  if (Array.isArray(value)) {
+    const items = value.slice(0, MAX_ARRAY_ITEMS).map((item) => redact(item, maxLength, depth + 1));
+    if (value.length > MAX_ARRAY_ITEMS) {
+      items.push(`[${value.length - MAX_ARRAY_ITEMS} more items]`);
+    }
+    return items;
+  }
+  const copy = {};
+  for (const [key, field] of Object.entries(value)) {
+    if (field === undefined) continue;
+    copy[key] = REDACTED_KEYS.test(key) ? '[REDACTED]' : redact(field, maxLength, depth + 1);
+  }
+  return copy;
+}
+
+/**
+ * One line for humans: time, level, message, then the other fields as key=value.
+ * @param {Object} entry - Redacted entry
+ * @returns {string} Log line
+ */
+function formatText(entry) {
+  const { time, level, msg, ...fields } = entry;
+  const rest = Object.entries(fields)
+    .map(([key, value]) => `${key}=${typeof value === 'string' ? value : JSON.stringify(value)}`)
+    .join(' ');
+  return `${time} ${level.toUpperCase().padEnd(5)} ${msg}${rest ? ` ${rest}` : ''}`;
+}
+
+// Logger used when a service is not handed one
+const logger = createLogger();
+
+module.exports = {
+  createLogger,
+  logger,
+};
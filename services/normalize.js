@@ -0,0 +1,248 @@
+/**
+ * Snapshot normalization: turns a captured snapshot into the text that is diffed, without the noise of the capture
+ */
+const crypto = require('crypto');
+const { logger } = require('./logger');
+const { splitSegments, normalizeSegment } = require('./text-diff');
+
+// Snapshot fields joined into the diffed text, unless the source's normalization.fields says otherwise
+const DEFAULT_FIELDS = ['textContent'];
+
+// Field holding the page HTML, used when selectors are set or there is no text field
+const HTML_FIELD = 'content';
+
+// Lines that are never content: cookie banners and view, star or download counters
+const DEFAULT_DROP_LINES = [
+  /\b(we|this (web)?site|our (web)?site) uses? cookies\b/i,
+  /^(accept|reject|allow|decline|manage)( all)?( cookies)?$/i,
+  /^\d[\d,.]*\s*[km]?\s+(views?|reads?|likes?|stars?|forks?|comments?|downloads?|followers?|watchers?)$/i,
+  /^(views?|reads?|stars?|downloads?)\s*:?\s*\d[\d,.]*\s*[km]?$/i,
+];
+
+// Values that change on every capture, masked wherever they appear: session ids, CSRF tokens, cache busters
+const DEFAULT_MASKS = [
+  /\b((?:j?session_?id|phpsessid|sid|csrf_?token|nonce)=)[\w.%-]+/gi,
+  /([?&](?:v|ver|cb|_|t|ts)=)\d+/gi,
+];
+
+// Invisible characters that scrapers pick up around words
+const INVISIBLE_CHARS = /[\u200B-\u200D\u2060\uFEFF\u00AD]/g;
+
+// HTML elements that never have a closing tag
+const VOID_TAGS = new Set(['area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input', 'link', 'meta', 'source', 'track', 'wbr']);
+
+/**
+ * Normalizes a snapshot with the built-in rules and those of its source.
+ * @param {string} content - Snapshot content: daily-snapshot JSON, or plain text
+ * @param {Object} rules - The source's normalization settings (sources.normalization), all optional:
+ * fields (snapshot fields to keep, in order), selectors (HTML elements to remove, e.g. '.cookie-banner'),
+ * drop_lines (regexes of lines to remove) and mask (regexes of values to replace with '#', keeping a first capture group)
+ * @param {Object} log - Logger
+ * @returns {Object} { text, raw_hash, normalized_hash }: the text to diff, a hash of the content as captured and a
+ * hash of what the local diff compares, so equal normalized hashes mean the pair only differs by noise
+ */
+function normalizeSnapshot(content, rules = {}, log = logger) {
+  const text = normalizeText(extractFields(content || '', rules, log), rules);
+  const keys = splitSegments(text).map(normalizeSegment).filter(Boolean);
+  return {
+    text,
+    raw_hash: sha256(content || ''),
+    normalized_hash: sha256(keys.join('\n')),
+  };
+}
+
+/**
+ * Picks the text of a snapshot. daily-snapshot stores JSON with a textContent field, among others.
+ * @param {string} content - Snapshot content
+ * @param {Object} rules - Normalization settings, see normalizeSnapshot
+ * @param {Object} log - Logger
+ * @returns {string} Text of the configured fields, one per paragraph
+ */
+function extractFields(content, rules, log) {
+  let json;
+  try {
+    json = JSON.parse(content);
+  } catch (e) {
+    log.debug('Snapshot is not JSON, falling back to raw text', { error: e.message });
+    return content; // Assume plain text if not JSON
+  }
+  if (!json || typeof json !== 'object') {
+    return String(json ?? '');
+  }
+
+  // Text without the unwanted elements can only be rebuilt from the HTML
+  const html = typeof json[HTML_FIELD] === 'string' ? json[HTML_FIELD] : null;
+  const selectors = rules.selectors || [];
+  const textFromHtml = html && (selectors.length || !json.textContent) ? htmlToText(removeElements(html, selectors)) : null;
+
+  const fields = rules.fields || DEFAULT_FIELDS;
+  return fields
+    .map((field) => {
+      if (field === 'textContent' && textFromHtml !== null) return textFromHtml;
+      if (field === HTML_FIELD && html) return htmlToText(removeElements(html, selectors));
+      const value = json[field];
+      if (value === undefined || value === null) return '';
+      return typeof value === 'string' ? value : JSON.stringify(value, null, 2);
+    })
+    .filter(Boolean)
+    .join('\n\n');
+}
+
+/**
+ * Normalizes Unicode and whitespace, drops volatile lines and masks volatile values.
+ * @param {string} text - Extracted text
+ * @param {Object} rules - Normalization settings, see normalizeSnapshot
+ * @returns {string} Normalized text
+ */
+function normalizeText(text, rules) {
+  const dropLines = [...DEFAULT_DROP_LINES, ...compilePatterns(rules.drop_lines, 'i')];
+  const masks = [...DEFAULT_MASKS, ...compilePatterns(rules.mask, 'gi')];
+
+  return text
+    .normalize('NFKC')
+    .replace(INVISIBLE_CHARS, '')
+    .split(/\r\n?|\n/)
+    .map((line) => line.replace(/\s+/g, ' ').trim())
+    .filter((line) => !dropLines.some((pattern) => pattern.test(line)))
+    .map((line) => masks.reduce((masked, pattern) => masked.replace(pattern, (match, prefix) => (typeof prefix === 'string' ? `${prefix}#` : '#')), line))
+    .join('\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
+
+/**
+ * Compiles the regexes of a source's rules.
+ * @param {string[]} patterns - Regex sources
+ * @param {string} flags - Regex flags
+ * @returns {RegExp[]} Compiled patterns
+ * @throws {Error} If a pattern is not a valid regex, naming it
+ */
+function compilePatterns(patterns = [], flags) {
+  return patterns.map((pattern) => {
+    try {
+      return new RegExp(pattern, flags);
+    } catch (error) {
+      throw new Error(`Invalid normalization pattern "${pattern}": ${error.message}`);
+    }
+  });
+}
+
+/**
+ * Removes the HTML elements matching any of the selectors, with their content.
+ * @param {string} html - Page HTML
+ * @param {string[]} selectors - Simple selectors: tag, #id, .class, [attr], [attr=value], [attr*=value], or a combination of them
+ * @returns {string} HTML without those elements
+ */
+function removeElements(html, selectors) {
+  if (!selectors.length) {
+    return html;
+  }
+  const matchers = selectors.map(parseSelector);
+  const tagPattern = /<(\/?)([a-zA-Z][\w-]*)((?:"[^"]*"|'[^']*'|[^'">])*)>/g;
+  let output = '';
+  let last = 0;
+  let skipping = null; // element being removed: { name, depth }
+
+  let match;
+  while ((match = tagPattern.exec(html))) {
+    const [, closing, rawName, attrs] = match;
+    const name = rawName.toLowerCase();
+    const selfClosing = VOID_TAGS.has(name) || attrs.trim().endsWith('/');
+    if (skipping) {
+      if (name !== skipping.name || selfClosing) continue;
+      skipping.depth += closing ? -1 : 1;
+      if (!skipping.depth) {
+        skipping = null;
+        last = tagPattern.lastIndex;
+      }
+      continue;
+    }
+    if (!closing && matchers.some((matches) => matches(name, parseAttributes(attrs)))) {
+      output += html.slice(last, match.index);
+      last = tagPattern.lastIndex;
+      if (!selfClosing) skipping = { name, depth: 1 };
+    }
+  }
+  // An element left open runs to the end of the page
+  return skipping ? output : output + html.slice(last);
+}
+
+/**
+ * Compiles a simple CSS selector.
+ * @param {string} selector - e.g. 'div.cookie-banner', '#promo', '[data-testid=views]'
+ * @returns {Function} (tagName, attributes) => boolean
+ * @throws {Error} If the selector uses unsupported syntax
+ */
+function parseSelector(selector) {
+  const match = selector.trim().match(/^([a-zA-Z][\w-]*)?((?:[#.][\w-]+)*)(?:\[([\w:-]+)(?:([*^$]?=)["']?([^"'\]]*)["']?)?\])?$/);
+  if (!match || !selector.trim()) {
+    throw new Error(`Unsupported selector "${selector}": use tag, #id, .class, [attr], [attr=value] or a combination of them`);
+  }
+  const [, tag, qualifiers, attr, operator, value] = match;
+  const ids = (qualifiers.match(/#[\w-]+/g) || []).map((q) => q.slice(1));
+  const classes = (qualifiers.match(/\.[\w-]+/g) || []).map((q) => q.slice(1));
+
+  return (name, attributes) => {
+    if (tag && tag.toLowerCase() !== name) return false;
+    if (ids.some((id) => attributes.id !== id)) return false;
+    const elementClasses = (attributes.class || '').split(/\s+/);
+    if (classes.some((cls) => !elementClasses.includes(cls))) return false;
+    if (!attr) return true;
+    const actual = attributes[attr.toLowerCase()];
+    if (actual === undefined) return false;
+    switch (operator) {
+      case '=': return actual === value;
+      case '*=': return actual.includes(value);
+      case '^=': return actual.startsWith(value);
+      case '$=': return actual.endsWith(value);
+      default: return true;
+    }
+  };
+}
+
+/**
+ * Reads the attributes of an HTML tag.
+ * @param {string} attrs - Text after the tag name
+ * @returns {Object} Lowercased attribute names to values ('' for boolean attributes)
+ */
+function parseAttributes(attrs) {
+  const attributes = {};
+  for (const [, name, quoted, singleQuoted, bare] of attrs.matchAll(/([\w:-]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'>]+)))?/g)) {
+    attributes[name.toLowerCase()] = quoted ?? singleQuoted ?? bare ?? '';
+  }
+  return attributes;
+}
+
+/**
+ * Converts HTML to text, one line per block element.
+ * @param {string} html - HTML
+ * @returns {string} Text
+ */
+function htmlToText(html) {
+  const entities = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ' };
+  return html
+    .replace(/<(script|style|noscript|template)\b[\s\S]*?<\/\1>/gi, '')
+    .replace(/<!--[\s\S]*?-->/g, '')
+    .replace(/<(br|\/?(p|div|li|ul|ol|tr|table|section|article|header|footer|nav|h[1-6]|pre|blockquote|dd|dt))\b[^>]*>/gi, '\n')
+    .replace(/<[^>]+>/g, '')
+    .replace(/&(#x[\da-f]+|#\d+|[a-z]+);/gi, (entity, code) => {
+      if (code[0] !== '#') return entities[code.toLowerCase()] ?? entity;
+      const point = code[1].toLowerCase() === 'x' ? parseInt(code.slice(2), 16) : Number(code.slice(1));
+      // NUL, beyond Unicode or a lone surrogate: fromCodePoint would throw or yield broken text, so it stays as written
+      return point === 0 || point > 0x10ffff || (point >= 0xd800 && point <= 0xdfff) ? entity : String.fromCodePoint(point);
+    });
+}
+
+/**
+ * SHA-256 of a text.
+ * @param {string} text - Text
+ * @returns {string} Hex digest
+ */
+function sha256(text) {
+  return crypto.createHash('sha256').update(text).digest('hex');
+}
+
+module.exports = {
+  normalizeSnapshot,
+  removeElements,
+};
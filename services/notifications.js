@@ -0,0 +1,384 @@
+/**
+ * Notification dispatch for classified changes: signed webhooks, Slack messages and email digests
+ */
+const crypto = require('crypto');
+const http = require('http');
+const https = require('https');
+const { logger } = require('./logger');
+const { HELD_REVIEW_STATUSES } = require('./review');
+
+const CHANNELS = ['webhook', 'slack', 'email'];
+
+// Only changes recorded within this many days are notified, unless NOTIFY_LOOKBACK_DAYS says otherwise
+const DEFAULT_LOOKBACK_DAYS = 7;
+
+// A delivery failing this many times is given up, unless NOTIFY_MAX_ATTEMPTS says otherwise
+const DEFAULT_MAX_ATTEMPTS = 5;
+
+// Per-request timeout for webhooks, Slack and the email API
+const REQUEST_TIMEOUT_MS = 10000;
+
+/**
+ * Notifies every active subscriber of the classified changes matching its rules.
+ * Each (change, subscriber) pair is recorded in notification_deliveries: delivered pairs are never sent again,
+ * failed ones are retried on the next run until they reach the max number of attempts.
+ * @param {Object} storage - Storage backend (see services/storage.js)
+ * @param {Object} options - Optional settings
+ * @param {string} options.sourceId - Only notify changes of this source
+ * @param {string} options.since - Only changes recorded at or after this ISO date (default NOTIFY_LOOKBACK_DAYS ago)
+ * @param {boolean} options.dryRun - Log notifications instead of sending them
+ * @param {Object} options.env - Environment variables (default process.env)
+ * @param {Object} options.logger - Logger from createLogger (default: shared logger)
+ * @returns {Array<Object>} One { subscriber_id, channel, change_ids, status, error } per notification sent
+ */
+async function dispatchNotifications(storage, options = {}) {
+  const env = options.env || process.env;
+  const log = options.logger || logger;
+  const lookbackDays = Number(env.NOTIFY_LOOKBACK_DAYS) || DEFAULT_LOOKBACK_DAYS;
+  const maxAttempts = Number(env.NOTIFY_MAX_ATTEMPTS) || DEFAULT_MAX_ATTEMPTS;
+  const since = options.since || new Date(Date.now() - lookbackDays * 86400000).toISOString();
+
+  const { data: subscribers, error: subscribersError } = await storage.listSubscribers();
+  if (subscribersError) {
+    log.error('Error fetching subscribers', { error: subscribersError.message });
+    return [];
+  }
+  if (!subscribers.length) {
+    log.info('No subscribers to notify');
+    return [];
+  }
+
+  const { data: changes, error: changesError } = await storage.listChanges({ classified: true, excludeDuplicates: true, excludeReviewStatuses: HELD_REVIEW_STATUSES, sourceId: options.sourceId, since });
+  if (changesError) {
+    log.error('Error fetching classified changes', { error: changesError.message });
+    return [];
+  }
+  if (!changes.length) {
+    log.info('No classified changes to notify');
+    return [];
+  }
+
+  const sourceIds = [...new Set(changes.map((c) => c.source_id))];
+  const { data: sources, error: sourcesError } = await storage.getSourcesByIds(sourceIds);
+  if (sourcesError) {
+    log.error('Error fetching source URLs', { error: sourcesError.message });
+    return [];
+  }
+  const sourceMap = new Map(sources.map((s) => [s.id, s.url]));
+
+  const { data: deliveries, error: deliveriesError } = await storage.listDeliveries(changes.map((c) => c.id));
+  if (deliveriesError) {
+    log.error('Error fetching notification deliveries', { error: deliveriesError.message });
+    return [];
+  }
+  const deliveryMap = new Map(deliveries.map((d) => [`${d.change_id}:${d.subscriber_id}`, d]));
+
+  const outcomes = [];
+  for (const subscriber of subscribers) {
+    if (!CHANNELS.includes(subscriber.channel)) {
+      log.error('Skipping subscriber: unknown channel', { subscriber_id: subscriber.id, channel: subscriber.channel });
+      continue;
+    }
+    if (subscriber.channel === 'webhook' && !subscriber.secret) {
+      // Receivers could not tell our requests from forged ones
+      log.error('Skipping subscriber: webhook without a secret', { subscriber_id: subscriber.id });
+      continue;
+    }
+
+    const pending = changes.filter((change) => {
+      if (!matchesRules(subscriber, change)) {
+        return false;
+      }
+      const delivery = deliveryMap.get(`${change.id}:${subscriber.id}`);
+      return !delivery || (delivery.status === 'failed' && delivery.attempts < maxAttempts);
+    });
+    if (!pending.length) {
+      continue;
+    }
+
+    const payloads = pending.map((change) => buildChangePayload(change, sourceMap.get(change.source_id)));
+    // Email subscribers get one digest for the whole run, the other channels one message per change
+    const batches = subscriber.channel === 'email' ? [payloads] : payloads.map((payload) => [payload]);
+
+    for (const batch of batches) {
+      const changeIds = batch.map((payload) => payload.id);
+      const notificationLog = log.child({ subscriber_id: subscriber.id, subscriber: subscriber.name, channel: subscriber.channel, change_ids: changeIds });
+
+      if (options.dryRun) {
+        notificationLog.info('[dry-run] Skipped notification');
+        outcomes.push({ subscriber_id: subscriber.id, channel: subscriber.channel, change_ids: changeIds, status: 'skipped' });
+        continue;
+      }
+
+      let error = null;
+      try {
+        await sendNotification(subscriber, batch, env);
+        notificationLog.info('Notified subscriber');
+      } catch (e) {
+        error = e.message;
+        notificationLog.error('Error notifying subscriber', { error });
+      }
+
+      for (const changeId of changeIds) {
+        const previous = deliveryMap.get(`${changeId}:${subscriber.id}`);
+        const now = new Date().toISOString();
+        const { error: recordError } = await storage.upsertDelivery({
+          change_id: changeId,
+          subscriber_id: subscriber.id,
+          channel: subscriber.channel,
+          status: error ? 'failed' : 'delivered',
+          attempts: (previous?.attempts || 0) + 1,
+          last_error: error,
+          last_attempt_at: now,
+          delivered_at: error ? null : now,
+        });
+        if (recordError) {
+          notificationLog.error('Error recording delivery', { change_id: changeId, error: recordError.message });
+        }
+      }
+      outcomes.push({ subscriber_id: subscriber.id, channel: subscriber.channel, change_ids: changeIds, status: error ? 'failed' : 'delivered', error });
+    }
+  }
+
+  if (!outcomes.length) {
+    log.info('No new notifications to send');
+  }
+  return outcomes;
+}
+
+/**
+ * Whether a change matches a subscriber's rules. An empty or missing rule matches everything.
+ * @param {Object} subscriber - Subscriber row, with optional source_ids and classifications arrays
+ * @param {Object} change - Change row
+ * @returns {boolean} True if the subscriber wants this change
+ */
+function matchesRules(subscriber, change) {
+  const sourceIds = subscriber.source_ids || [];
+  const classifications = subscriber.classifications || [];
+  return (!sourceIds.length || sourceIds.includes(change.source_id)) &&
+    (!classifications.length || classifications.includes(change.classification));
+}
+
+/**
+ * The change as sent to subscribers.
+ * @param {Object} change - Change row
+ * @param {string} url - Source URL
+ * @returns {Object} Change payload
+ */
+function buildChangePayload(change, url) {
+  return {
+    id: change.id,
+    source_id: change.source_id,
+    url,
+    classification: change.classification,
+    secondary_labels: change.secondary_labels || [],
+    confidence: change.confidence ?? null,
+    explanation: change.explanation,
+    impact: change.impact || null,
+    summary: change.diff?.summary || null,
+    items: change.diff?.items || [],
+    snapshot_id1: change.snapshot_id1,
+    snapshot_id2: change.snapshot_id2,
+    timestamp: change.timestamp,
+  };
+}
+
+/**
+ * Sends a batch of changes to a subscriber through its channel.
+ * @param {Object} subscriber - Subscriber row: channel, target (URL or email address) and, for webhooks, secret
+ * @param {Array<Object>} changes - Change payloads
+ * @param {Object} env - Environment variables
+ * @returns {Promise<void>} Rejects if the notification could not be delivered
+ */
+async function sendNotification(subscriber, changes, env) {
+  switch (subscriber.channel) {
+    case 'webhook':
+      await sendWebhook(subscriber, { event: 'change.classified', change: changes[0] });
+      break;
+    case 'slack':
+      await postJson(subscriber.target, renderSlackMessage(changes[0]));
+      break;
+    case 'email':
+      await sendEmail(subscriber.target, renderDigest(changes), env);
+      break;
+  }
+}
+
+/**
+ * Posts a webhook signed with the subscriber's secret. Receivers check the signature by computing
+ * HMAC-SHA256(secret, `${timestamp}.${body}`) and comparing it with X-Daily-Changes-Signature.
+ * @param {Object} subscriber - Subscriber row with target URL and secret
+ * @param {Object} payload - Webhook payload
+ * @returns {Promise<void>}
+ */
+async function sendWebhook(subscriber, payload) {
+  const body = JSON.stringify(payload);
+  const timestamp = String(Math.floor(Date.now() / 1000));
+  await postJson(subscriber.target, body, {
+    'X-Daily-Changes-Timestamp': timestamp,
+    'X-Daily-Changes-Signature': `sha256=${signPayload(subscriber.secret, timestamp, body)}`,
+  });
+}
+
+/**
+ * HMAC-SHA256 signature of a webhook body.
+ * @param {string} secret - Subscriber secret
+ * @param {string} timestamp - Unix time in seconds, also sent in X-Daily-Changes-Timestamp
+ * @param {string} body - Raw request body
+ * @returns {string} Hex digest
+ */
+function signPayload(secret, timestamp, body) {
+  return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+/**
+ * Slack-compatible message (incoming webhooks, and Mattermost / Discord /slack endpoints) for one change.
+ * @param {Object} change - Change payload
+ * @returns {Object} { text }
+ */
+function renderSlackMessage(change) {
+  const lines = [
+    `*[${escapeSlack(change.classification)}]* ${escapeSlack(change.url)}`,
+    escapeSlack(change.summary),
+    change.explanation && `_${escapeSlack(change.explanation)}_`,
+    escapeSlack(formatImpact(change.impact)),
+  ];
+  for (const item of change.items) {
+    lines.push(`• *${escapeSlack(item.title)}*${item.classification ? ` (${escapeSlack(item.classification)})` : ''}: ${escapeSlack(item.description)}`);
+  }
+  return { text: lines.filter(Boolean).join('\n') };
+}
+
+/**
+ * Escapes the characters Slack reads as markup in message text: <!channel>, <url|label> and the like
+ * must not come from a scraped page.
+ * @param {*} value - Text
+ * @returns {string} Escaped text
+ */
+function escapeSlack(value) {
+  return String(value ?? '').replace(/[&<>]/g, (c) => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;' })[c]);
+}
+
+/**
+ * One line on what a change means for users, e.g. 'Severity high. Action: migrate to v2, by 2025-06-30'.
+ * @param {Object} impact - Impact from the classifier: { severity, required_action, deadline }
+ * @returns {string|null} The line, or null for changes classified without impact
+ */
+function formatImpact(impact) {
+  if (!impact) {
+    return null;
+  }
+  const action = impact.required_action ? ` Action: ${impact.required_action}${impact.deadline ? `, by ${impact.deadline}` : ''}` : '';
+  return `Severity ${impact.severity}.${action}`;
+}
+
+/**
+ * Renders the email digest of a batch of changes, grouped by classification.
+ * @param {Array<Object>} changes - Change payloads
+ * @returns {Object} { subject, text, html }
+ */
+function renderDigest(changes) {
+  const date = new Date().toISOString().slice(0, 10);
+  const groups = new Map();
+  for (const change of changes) {
+    if (!groups.has(change.classification)) groups.set(change.classification, []);
+    groups.get(change.classification).push(change);
+  }
+
+  const text = [];
+  const html = [`<h1>Daily changes, ${date}</h1>`];
+  for (const [classification, group] of groups) {
+    text.push(`== ${classification} (${group.length}) ==`, '');
+    html.push(`<h2>${escapeHtml(classification)} (${group.length})</h2>`);
+    for (const change of group) {
+      text.push(change.url, change.summary || '', change.explanation || '', formatImpact(change.impact) || '', '');
+      html.push(
+        `<h3><a href="${escapeHtml(change.url)}">${escapeHtml(change.url)}</a></h3>`,
+        `<p>${escapeHtml(change.summary || '')}</p>`,
+        change.explanation ? `<p><em>${escapeHtml(change.explanation)}</em></p>` : '',
+        formatImpact(change.impact) ? `<p><strong>${escapeHtml(formatImpact(change.impact))}</strong></p>` : '',
+        change.items.length
+          ? `<ul>${change.items.map((item) => `<li><strong>${escapeHtml(item.title)}</strong>: ${escapeHtml(item.description)}</li>`).join('')}</ul>`
+          : ''
+      );
+    }
+  }
+
+  return {
+    subject: `Daily changes ${date}: ${changes.length} change(s)`,
+    text: text.join('\n'),
+    html: html.filter(Boolean).join('\n'),
+  };
+}
+
+/**
+ * Sends an email through an HTTP email API (Resend-compatible: POST { from, to, subject, text, html } with a Bearer key).
+ * @param {string} to - Recipient address
+ * @param {Object} digest - { subject, text, html }
+ * @param {Object} env - Environment variables: EMAIL_API_URL, EMAIL_API_KEY, EMAIL_FROM
+ * @returns {Promise<void>}
+ */
+async function sendEmail(to, digest, env) {
+  if (!env.EMAIL_API_URL || !env.EMAIL_FROM) {
+    throw new Error('EMAIL_API_URL and EMAIL_FROM must be set to send email digests');
+  }
+  const headers = env.EMAIL_API_KEY ? { Authorization: `Bearer ${env.EMAIL_API_KEY}` } : {};
+  await postJson(env.EMAIL_API_URL, { from: env.EMAIL_FROM, to, ...digest }, headers);
+}
+
+/**
+ * POSTs a JSON body and fails on any non-2xx answer.
+ * @param {string} url - Target URL
+ * @param {Object|string} body - Body, serialized unless already a string
+ * @param {Object} headers - Extra headers
+ * @returns {Promise<string>} Response body
+ */
+function postJson(url, body, headers = {}) {
+  const data = typeof body === 'string' ? body : JSON.stringify(body);
+  return new Promise((resolve, reject) => {
+    let target;
+    try {
+      target = new URL(url);
+    } catch (e) {
+      reject(new Error(`Invalid URL "${url}"`));
+      return;
+    }
+    const request = (target.protocol === 'http:' ? http : https).request(target, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', 'Content-Length': Buffer.byteLength(data), ...headers },
+      timeout: REQUEST_TIMEOUT_MS,
+    }, (response) => {
+      let responseBody = '';
+      response.setEncoding('utf8');
+      response.on('data', (chunk) => { responseBody += chunk; });
+      response.on('end', () => {
+        if (response.statusCode >= 200 && response.statusCode < 300) {
+          resolve(responseBody);
+        } else {
+          reject(new Error(`HTTP ${response.statusCode}: ${responseBody.slice(0, 200)}`));
+        }
+      });
+    });
+    request.on('timeout', () => request.destroy(new Error(`Timed out after ${REQUEST_TIMEOUT_MS}ms`)));
+    request.on('error', reject);
+    request.end(data);
+  });
+}
+
+/**
+ * Escapes text for HTML and XML.
+ * @param {*} value - Text
+ * @returns {string} Escaped text
+ */
+function escapeHtml(value) {
+  return String(value ?? '').replace(/[&<>"']/g, (c) => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[c]);
+}
+
+module.exports = {
+  dispatchNotifications,
+  buildChangePayload,
+  signPayload,
+  renderDigest,
+  renderSlackMessage,
+  escapeHtml,
+};
@@ -0,0 +1,125 @@
+/**
+ * Prompt templates: versioned files under prompts/<role>/<name>.v<version>.txt, picked per source
+ */
+const fs = require('fs');
+const path = require('path');
+
+// Where templates and profiles live, unless PROMPTS_DIR says otherwise
+const DEFAULT_PROMPTS_DIR = path.join(__dirname, '..', 'prompts');
+
+// Lines starting a template section
+const SECTION_MARKER = /^--- (system|user) ---$/;
+
+const cache = new Map();
+
+/**
+ * Picks the template a source uses for a role. In order: the source's own prompt_templates entry,
+ * the template of its prompt_profile, then the template of the default profile.
+ * @param {string} role - 'differ' or 'classifier'
+ * @param {Object} source - Source row, with optional prompt_profile and prompt_templates ({ differ: 'api-spec@2' })
+ * @param {Object} options - Optional settings
+ * @param {string} options.dir - Templates directory (default PROMPTS_DIR or prompts/)
+ * @returns {Object} Template { role, name, version, system, user }
+ */
+function resolvePrompt(role, source = {}, options = {}) {
+  const dir = options.dir || process.env.PROMPTS_DIR || DEFAULT_PROMPTS_DIR;
+  const profiles = loadProfiles(dir);
+  const profile = source.prompt_profile || 'default';
+  if (!profiles[profile]) {
+    throw new Error(`Unknown prompt profile "${profile}", expected one of ${Object.keys(profiles).join(', ')}`);
+  }
+  const ref = source.prompt_templates?.[role] || profiles[profile][role] || profiles.default?.[role];
+  if (!ref) {
+    throw new Error(`No ${role} template in prompt profile "${profile}"`);
+  }
+  return loadTemplate(role, ref, dir);
+}
+
+/**
+ * Reads the prompt profiles: a map of profile names to the template of each role.
+ * @param {string} dir - Templates directory
+ * @returns {Object} e.g. { default: { differ: 'default', classifier: 'default' }, api_spec: { differ: 'api-spec', ... } }
+ */
+function loadProfiles(dir) {
+  const file = path.join(dir, 'profiles.json');
+  if (!cache.has(file)) {
+    cache.set(file, JSON.parse(fs.readFileSync(file, 'utf8')));
+  }
+  return cache.get(file);
+}
+
+/**
+ * Loads a template file.
+ * @param {string} role - 'differ' or 'classifier'
+ * @param {string} ref - Template name, optionally pinned to a version: 'api-spec' (latest) or 'api-spec@2'
+ * @param {string} dir - Templates directory
+ * @returns {Object} Template { role, name, version, system, user }
+ */
+function loadTemplate(role, ref, dir) {
+  const [name, pinned] = ref.split('@');
+  const versions = fs.readdirSync(path.join(dir, role))
+    .map((file) => file.match(/^(.+)\.v(\d+)\.txt$/))
+    .filter((match) => match && match[1] === name)
+    .map((match) => Number(match[2]));
+  if (!versions.length) {
+    throw new Error(`No ${role} template named "${name}" in ${dir}`);
+  }
+  const version = pinned ? Number(pinned) : Math.max(...versions);
+  if (!versions.includes(version)) {
+    throw new Error(`No version ${pinned} of ${role} template "${name}", available: ${versions.sort((a, b) => a - b).join(', ')}`);
+  }
+
+  const file = path.join(dir, role, `${name}.v${version}.txt`);
+  if (!cache.has(file)) {
+    cache.set(file, { role, name, version, ...parseTemplate(fs.readFileSync(file, 'utf8'), file) });
+  }
+  return cache.get(file);
+}
+
+/**
+ * Splits a template file into its system and user prompts. Lines before the first section are comments.
+ * @param {string} text - File content
+ * @param {string} file - File path, for error messages
+ * @returns {Object} { system, user }
+ */
+function parseTemplate(text, file) {
+  const sections = {};
+  let current = null;
+  for (const line of text.split('\n')) {
+    const marker = line.match(SECTION_MARKER);
+    if (marker) {
+      current = marker[1];
+      sections[current] = [];
+    } else if (current) {
+      sections[current].push(line);
+    }
+  }
+  if (!sections.user) {
+    throw new Error(`Template ${file} has no "--- user ---" section`);
+  }
+  return {
+    system: (sections.system || []).join('\n').trim(),
+    user: sections.user.join('\n').trim(),
+  };
+}
+
+/**
+ * Fills a template in. {{name}} is replaced by the variable, {{#name}}...{{/name}} is kept only if it is set
+ * (truthy and not an empty list), {{^name}}...{{/name}} only if it is not.
+ * @param {Object} template - Template from resolvePrompt
+ * @param {Object} vars - Variables
+ * @returns {Object} { system, user }
+ */
+function renderPrompt(template, vars) {
+  const isSet = (value) => (Array.isArray(value) ? value.length > 0 : !!value);
+  const render = (text) => text
+    .replace(/\{\{([#^])(\w+)\}\}\n?([\s\S]*?)\{\{\/\2\}\}\n?/g, (match, kind, name, inner) =>
+      ((kind === '#') === isSet(vars[name]) ? inner : ''))
+    .replace(/\{\{(\w+)\}\}/g, (match, name) => (vars[name] === undefined || vars[name] === null ? '' : String(vars[name])));
+  return { system: render(template.system), user: render(template.user) };
+}
+
+module.exports = {
+  resolvePrompt,
+  renderPrompt,
+};
@@ -0,0 +1,199 @@
+/**
+ * Registry of OpenAI-compatible LLM providers, with automatic failover between them
+ */
+const OpenAI = require('openai');
+const { logger } = require('./logger');
+const { estimateTokens } = require('./rate-limiter');
+
+// several OpenAI-compatible providers
+const PROVIDERS = {
+  scaleway: {
+    apiKeyEnv: 'SCALEWAY_API_KEY',
+    baseURL: 'https://api.scaleway.ai/v1',
+    differ: {model:'llama-3.3-70b-instruct',context: 131000},
+    classifier: {model:'llama-3.3-70b-instruct',context: 131000},
+  },
+  gemini: {
+    apiKeyEnv: 'GOOGLE_API_KEY',
+    baseURL: 'https://generativelanguage.googleapis.com/v1beta/openai/',
+    differ: {model:'gemini-2.0-flash',context: 1000000},
+    classifier: {model:'gemini-2.0-flash-lite',context: 1000000},
+  },
+  together: {
+    apiKeyEnv: 'TOGETHER_API_KEY',
+    baseURL: 'https://api.together.xyz/v1/',
+    differ: {model:'meta-llama/Llama-3.3-70B-Instruct-Turbo-Free',context: 131000},
+    classifier: {model:'meta-llama/Llama-3.3-70B-Instruct-Turbo-Free',context: 131000},
+  }
+};
+
+// Providers are tried in this order unless LLM_PROVIDERS, DIFFER_PROVIDERS or CLASSIFIER_PROVIDERS say otherwise
+const DEFAULT_ORDER = ['scaleway', 'gemini', 'together'];
+
+// A call taking longer than this is abandoned and the next provider is tried
+const DEFAULT_TIMEOUT_MS = 120000;
+
+/**
+ * Reads the ordered list of providers for a role from the environment.
+ * @param {string} role - 'differ' or 'classifier'
+ * @param {Object} env - Environment variables (default process.env)
+ * @returns {string[]} Provider names, most preferred first
+ */
+function getProviderOrder(role, env = process.env) {
+  const value = env[`${role.toUpperCase()}_PROVIDERS`] || env.LLM_PROVIDERS;
+  if (!value) {
+    return DEFAULT_ORDER;
+  }
+  return value.split(',').map((name) => name.trim()).filter(Boolean);
+}
+
+/**
+ * Creates the model used for one role, backed by a client that fails over between providers.
+ * @param {string} role - 'differ' or 'classifier'
+ * @param {Object} options - Optional settings
+ * @param {string[]} options.order - Provider names to try, most preferred first (default from env)
+ * @param {Object} options.providers - Provider definitions (default PROVIDERS)
+ * @param {number} options.timeout - Per-call timeout in ms (default LLM_TIMEOUT_MS or 120s)
+ * @param {Function} options.wrap - Wraps each provider client, e.g. createRateLimitedClient
+ * @param {string} options.model - Model to use on the primary provider instead of its default one
+ * @param {Object} options.env - Environment variables (default process.env)
+ * @param {Object} options.logger - Logger from createLogger (default: shared logger)
+ * @returns {Object} { model, context, provider, client } where model and provider are the primary provider's, and context
+ * the smallest context window of the candidates, so prompts sized to it fit whichever provider answers
+ */
+function createFailoverModel(role, options = {}) {
+  const env = options.env || process.env;
+  const providers = options.providers || PROVIDERS;
+  const order = options.order || getProviderOrder(role, env);
+  const timeout = options.timeout || Number(env.LLM_TIMEOUT_MS) || DEFAULT_TIMEOUT_MS;
+  const wrap = options.wrap || ((client) => client);
+  const log = options.logger || logger;
+
+  const candidates = [];
+  for (const name of order) {
+    const provider = providers[name];
+    if (!provider) {
+      throw new Error(`Unknown LLM provider "${name}" for ${role}`);
+    }
+    const apiKey = provider.apiKey || env[provider.apiKeyEnv];
+    if (!apiKey) {
+      log.info('Skipping provider: API key is not set', { role, provider: name, env: provider.apiKeyEnv });
+      continue;
+    }
+    candidates.push({
+      provider: name,
+      model: provider[role].model,
+      context: provider[role].context,
+      client: wrap(new OpenAI({ apiKey, baseURL: provider.baseURL })),
+    });
+  }
+
+  if (candidates.length && options.model) {
+    candidates[0].model = options.model;
+  }
+
+  if (!candidates.length) {
+    throw new Error(`No LLM provider configured for ${role}: set the API key of one of ${order.join(', ')}`);
+  }
+
+  const primary = candidates[0];
+  log.info('LLM providers configured', { role, provider: primary.provider, model: primary.model, fallbacks: candidates.slice(1).map((c) => c.provider) });
+
+  return {
+    provider: primary.provider,
+    model: primary.model,
+    context: Math.min(...candidates.map((candidate) => candidate.context)),
+    client: createFailoverClient(candidates, timeout, log),
+  };
+}
+
+/**
+ * Creates a client exposing chat.completions.create, which tries each candidate in turn.
+ * The model in the request params is replaced by each candidate's own model, and the response
+ * is tagged with `llm: { provider, model }` so callers can record what actually answered.
+ * @param {Array<Object>} candidates - { provider, model, context, client }, most preferred first
+ * @param {number} timeout - Per-call timeout in ms
+ * @param {Object} log - Logger
+ * @returns {Object} Failover client
+ */
+function createFailoverClient(candidates, timeout, log = logger) {
+  return {
+    chat: {
+      completions: {
+        create: async (params) => {
+          const needed = estimateTokens(params);
+          let lastError = null;
+          let lastUnparseable = null;
+
+          for (const [index, candidate] of candidates.entries()) {
+            if (candidate.context < needed) {
+              log.info('Skipping provider: context window too small', { provider: candidate.provider, needed_tokens: needed, context: candidate.context });
+              continue;
+            }
+            try {
+              const response = await candidate.client.chat.completions.create(
+                { ...params, model: candidate.model },
+                // A provider that timed out is likely to time out again: the next one is tried rather than the limiter
+                // waiting for the same one up to four times
+                { timeout, maxRetries: 0, retryTimeouts: index === candidates.length - 1 }
+              );
+              response.llm = { provider: candidate.provider, model: candidate.model };
+              if (expectsJson(params) && !isParseable(response)) {
+                log.warn('Unparseable JSON, trying next provider', { provider: candidate.provider, model: candidate.model });
+                lastUnparseable = response;
+                continue;
+              }
+              return response;
+            } catch (error) {
+              log.warn('Provider error, trying next provider', { provider: candidate.provider, model: candidate.model, error: error.message });
+              lastError = error;
+            }
+          }
+
+          // Every provider failed: unparseable output is still handed back so the caller's own recovery applies
+          if (lastUnparseable) {
+            return lastUnparseable;
+          }
+          throw lastError || new Error(`No provider has a context window large enough for ~${needed} tokens`);
+        }
+      }
+    }
+  };
+}
+
+/**
+ * Whether the request asked for a JSON response.
+ * @param {Object} params - chat.completions.create params
+ * @returns {boolean} True for json_schema and json_object response formats
+ */
+function expectsJson(params) {
+  const type = params.response_format?.type;
+  return type === 'json_schema' || type === 'json_object';
+}
+
+/**
+ * Whether a response holds valid JSON. Truncated responses are left to the caller, which knows how to salvage them.
+ * @param {Object} response - chat completion response
+ * @returns {boolean} True if the content parses or was cut by the length limit
+ */
+function isParseable(response) {
+  const choice = response.choices?.[0];
+  if (!choice) {
+    return false;
+  }
+  if (choice.finish_reason === 'length') {
+    return true;
+  }
+  try {
+    JSON.parse(choice.message.content);
+    return true;
+  } catch (e) {
+    return false;
+  }
+}
+
+module.exports = {
+  PROVIDERS,
+  createFailoverModel,
+  getProviderOrder,
+};
@@ -1,69 +1,390 @@
 /**
  * Rate limiting service for API clients
  */
+const { logger } = require('./logger');
 
 // Rate limiting configuration for different models
+// rpm: requests per minute, tpm: tokens per minute, rpd / tpd: requests / tokens per day (UTC),
+// concurrency: requests in flight at once, burst: requests that may go out back to back
 const RATE_LIMITS = {
-  'gemini-2.0-flash': 15, // 15 RPM
-  'gemini-2.0-flash-lite': 30, // 30 RPM
-  'meta-llama/Llama-3.3-70B-Instruct-Turbo-Free': 60, // 60 RPM
+  'gemini-2.0-flash': { rpm: 15, tpm: 1000000, rpd: 1500 },
+  'gemini-2.0-flash-lite': { rpm: 30, tpm: 1000000, rpd: 1500 },
+  'meta-llama/Llama-3.3-70B-Instruct-Turbo-Free': { rpm: 60, tpm: 60000 },
   // Add other models as needed
 };
 
-// Rate limiting state
-const rateLimitState = {
-  lastRequestTime: {},
-};
+// Applied to models missing from the map above
+const DEFAULT_LIMITS = { rpm: 15, concurrency: 4, burst: 1 };
+
+// Statuses worth retrying: rate limited, or the provider is overloaded / briefly down
+const RETRYABLE_STATUSES = [408, 429, 500, 502, 503, 504];
+
+// Output budget assumed when a request does not set max_tokens
+const DEFAULT_OUTPUT_TOKENS = 1000;
 
 /**
- * Creates a rate-limited OpenAI client wrapper
- * @param {Object} openai - Original OpenAI client
- * @param {Object} rateLimits - Map of model names to their RPM limits (optional)
- * @returns {Object} Rate-limited OpenAI client
+ * Thrown when a model's daily quota is spent: waiting would take hours, so the caller should move on.
  */
-function createRateLimitedClient(openai, rateLimits = RATE_LIMITS) {
-  // Create a proxy to intercept API calls
-  const rateLimitedClient = {
-    ...openai,
-    chat: {
-      ...openai.chat,
-      completions: {
-        create: async (params) => {
-          const model = params.model;
-          const rpm = rateLimits[model] || 15; // Default to 15 RPM if model not found
-          
-          // Calculate minimum delay between requests
-          const minDelayMs = 60000 / rpm;
-          
-          // Initialize last request time for this model if not exists
-          if (!rateLimitState.lastRequestTime[model]) {
-            rateLimitState.lastRequestTime[model] = 0;
-          }
-          
-          // Apply rate limiting
-          const now = Date.now();
-          const timeElapsed = now - rateLimitState.lastRequestTime[model];
-          
-          if (timeElapsed < minDelayMs) {
-            const delayNeeded = minDelayMs - timeElapsed;
-            console.log(`Rate limiting for ${model}: waiting ${delayNeeded}ms before next request`);
-            await new Promise(resolve => setTimeout(resolve, delayNeeded));
+class QuotaExceededError extends Error {
+  constructor(model, quota) {
+    super(`Daily ${quota} quota exhausted for ${model}`);
+    this.name = 'QuotaExceededError';
+    this.model = model;
+    this.quota = quota;
+  }
+}
+
+/**
+ * Token bucket refilled continuously.
+ * @param {number} capacity - Max tokens held
+ * @param {number} perMinute - Tokens added per minute
+ * @returns {Object} Bucket with take(), give() and waitTime()
+ */
+function createBucket(capacity, perMinute) {
+  let tokens = capacity;
+  let updatedAt = Date.now();
+
+  const refill = () => {
+    const now = Date.now();
+    tokens = Math.min(capacity, tokens + ((now - updatedAt) * perMinute) / 60000);
+    updatedAt = now;
+  };
+
+  return {
+    // Time in ms before `amount` tokens are available (0 if they are now)
+    waitTime(amount) {
+      refill();
+      const needed = Math.min(amount, capacity) - tokens;
+      return needed <= 0 ? 0 : Math.ceil((needed * 60000) / perMinute);
+    },
+    take(amount) {
+      refill();
+      tokens -= Math.min(amount, capacity);
+    },
+    // Returns tokens (or takes more, with a negative amount) once the real cost is known
+    give(amount) {
+      refill();
+      tokens = Math.min(capacity, tokens + amount);
+    },
+  };
+}
+
+/**
+ * Creates a rate limiter shared by every client it wraps, with its own state.
+ * @param {Object} rateLimits - Map of model names to their limits, or to a plain RPM number (optional)
+ * @param {Object} options - Optional settings
+ * @param {number} options.maxRetries - Retries on 429, 5xx and network errors (default 3)
+ * @param {number} options.baseDelayMs - First backoff delay, doubled on each retry (default 1000)
+ * @param {number} options.maxDelayMs - Longest wait accepted before a retry; a longer Retry-After fails the call (default 60000)
+ * @param {Function} options.loadDailyUsage - async (day) => map of model names to the { requests, tokens } other runs
+ * spent on that YYYY-MM-DD day (UTC), counted towards the daily quotas (default: this limiter's own usage only)
+ * @param {Object} options.logger - Logger from createLogger (default: shared logger)
+ * @returns {Object} Limiter with schedule(params, call) and getStats()
+ */
+function createRateLimiter(rateLimits = RATE_LIMITS, options = {}) {
+  const maxRetries = options.maxRetries ?? 3;
+  const baseDelayMs = options.baseDelayMs ?? 1000;
+  const maxDelayMs = options.maxDelayMs ?? 60000;
+  const log = options.logger || logger;
+  const models = new Map();
+  // Usage of other runs, loaded once per day and shared by every model
+  let dailyUsage = { day: null, promise: null };
+
+  const getModel = (model) => {
+    if (!models.has(model)) {
+      const configured = rateLimits[model];
+      const limits = {
+        ...DEFAULT_LIMITS,
+        ...(typeof configured === 'number' ? { rpm: configured } : configured),
+      };
+      models.set(model, {
+        limits,
+        requests: createBucket(limits.burst, limits.rpm),
+        tokens: limits.tpm ? createBucket(limits.tpm, limits.tpm) : null,
+        day: null,
+        inFlight: 0,
+        queue: [],
+        stats: {
+          requests: 0,
+          retries: 0,
+          rateLimited: 0,
+          errors: 0,
+          promptTokens: 0,
+          completionTokens: 0,
+          latencyMs: 0,
+          waitedMs: 0,
+          requestsToday: 0,
+          tokensToday: 0,
+        },
+      });
+    }
+    return models.get(model);
+  };
+
+  const getDailyUsage = (day) => {
+    if (!options.loadDailyUsage) {
+      return Promise.resolve({});
+    }
+    if (dailyUsage.day !== day) {
+      dailyUsage = {
+        day,
+        promise: Promise.resolve(options.loadDailyUsage(day)).catch((error) => {
+          log.warn('Could not load the usage of earlier runs, daily quotas only count this run', { error: error.message });
+          return {};
+        }),
+      };
+    }
+    return dailyUsage.promise;
+  };
+
+  // Daily counters restart at midnight UTC, from what other runs already spent that day
+  const checkDailyQuota = async (model, state) => {
+    const today = new Date().toISOString().slice(0, 10);
+    if (state.day !== today) {
+      // Only models with a daily quota need the usage of other runs
+      const usage = state.limits.rpd || state.limits.tpd ? (await getDailyUsage(today))[model] || {} : {};
+      // Another request of the same model may have started the day while this one waited
+      if (state.day !== today) {
+        state.day = today;
+        state.stats.requestsToday = usage.requests || 0;
+        state.stats.tokensToday = usage.tokens || 0;
+      }
+    }
+    if (state.limits.rpd && state.stats.requestsToday >= state.limits.rpd) {
+      throw new QuotaExceededError(model, 'request');
+    }
+    if (state.limits.tpd && state.stats.tokensToday >= state.limits.tpd) {
+      throw new QuotaExceededError(model, 'token');
+    }
+  };
+
+  const acquireSlot = (state) => {
+    if (state.inFlight < state.limits.concurrency) {
+      state.inFlight++;
+      return Promise.resolve();
+    }
+    return new Promise((resolve) => state.queue.push(resolve));
+  };
+
+  const releaseSlot = (state) => {
+    const next = state.queue.shift();
+    if (next) {
+      next(); // the slot goes straight to the next caller
+    } else {
+      state.inFlight--;
+    }
+  };
+
+  const waitForBuckets = async (model, state, cost) => {
+    for (;;) {
+      const delay = Math.max(state.requests.waitTime(1), state.tokens ? state.tokens.waitTime(cost) : 0);
+      if (delay === 0) {
+        state.requests.take(1);
+        if (state.tokens) state.tokens.take(cost);
+        return;
+      }
+      log.debug('Rate limiting: waiting before next request', { model, delay_ms: delay });
+      state.stats.waitedMs += delay;
+      await sleep(delay);
+    }
+  };
+
+  return {
+    /**
+     * Runs an API call once the model's limits allow it, retrying transient failures.
+     * @param {Object} params - Request params, used for the model name and token estimate
+     * @param {Function} call - Performs the actual API call
+     * @param {Object} options - Optional settings
+     * @param {boolean} options.retryTimeouts - Whether calls that timed out are retried (default true); a failover
+     * client turns it off while other providers are left to try
+     * @returns {Promise<*>} The API response
+     */
+    async schedule(params, call, options = {}) {
+      const retryTimeouts = options.retryTimeouts ?? true;
+      const model = params.model;
+      const state = getModel(model);
+      const cost = estimateTokens(params);
+
+      await acquireSlot(state);
+      try {
+        for (let attempt = 0; ; attempt++) {
+          await checkDailyQuota(model, state);
+          await waitForBuckets(model, state, cost);
+          state.stats.requests++;
+          state.stats.requestsToday++;
+
+          const startedAt = Date.now();
+          try {
+            const response = await call();
+            state.stats.latencyMs += Date.now() - startedAt;
+            const usage = response?.usage;
+            if (usage) {
+              state.stats.promptTokens += usage.prompt_tokens || 0;
+              state.stats.completionTokens += usage.completion_tokens || 0;
+              state.stats.tokensToday += usage.total_tokens || 0;
+              // Settle the estimate against what the provider actually counted
+              if (state.tokens && usage.total_tokens) state.tokens.give(cost - usage.total_tokens);
+            } else {
+              state.stats.tokensToday += cost;
+            }
+            return response;
+          } catch (error) {
+            state.stats.latencyMs += Date.now() - startedAt;
+            state.stats.tokensToday += cost;
+            if (error.status === 429) state.stats.rateLimited++;
+            if (attempt >= maxRetries || !isRetryable(error) || (!retryTimeouts && isTimeout(error))) {
+              state.stats.errors++;
+              throw error;
+            }
+            const retryAfter = getRetryAfter(error);
+            const delay = retryAfter ?? Math.round(Math.random() * Math.min(maxDelayMs, baseDelayMs * 2 ** attempt)); // full jitter
+            if (delay > maxDelayMs) {
+              log.warn('Provider asks to retry too late, giving up instead', { model, retry_after_ms: delay });
+              state.stats.errors++;
+              throw error;
+            }
+            log.warn('Request failed, retrying', { model, status: error.status, error: error.message, retry: attempt + 1, max_retries: maxRetries, delay_ms: Math.round(delay) });
+            state.stats.retries++;
+            state.stats.waitedMs += delay;
+            await sleep(delay);
           }
-          
-          // Update last request time
-          rateLimitState.lastRequestTime[model] = Date.now();
-          
-          // Make the actual API call
-          return openai.chat.completions.create(params);
         }
+      } finally {
+        releaseSlot(state);
       }
+    },
+
+    /**
+     * Per-model usage since the limiter was created.
+     * @returns {Object} Map of model names to their stats; requestsToday and tokensToday include other runs of the day
+     */
+    getStats() {
+      const stats = {};
+      for (const [model, state] of models) {
+        stats[model] = { ...state.stats };
+      }
+      return stats;
+    },
+  };
+}
+
+/**
+ * Creates a rate-limited OpenAI client wrapper. Every method taking params with a `model`
+ * (chat.completions.create, embeddings.create, ...) goes through the limiter; the rest of the
+ * client is passed through untouched. A `retryTimeouts` request option goes to the limiter's schedule.
+ * @param {Object} openai - Original OpenAI client
+ * @param {Object} limiter - Limiter from createRateLimiter, to share limits across clients (optional)
+ * @returns {Object} Rate-limited OpenAI client
+ */
+function createRateLimitedClient(openai, limiter = createRateLimiter()) {
+  const proxies = new WeakMap();
+
+  const wrap = (target) => {
+    if (proxies.has(target)) {
+      return proxies.get(target);
     }
+    const proxy = new Proxy(target, {
+      get(obj, prop) {
+        const value = Reflect.get(obj, prop);
+        if (typeof value === 'function') {
+          return (...args) => {
+            const params = args[0];
+            if (params && typeof params === 'object' && typeof params.model === 'string') {
+              // retryTimeouts is meant for the limiter, not the client
+              const { retryTimeouts, ...requestOptions } = args[1] || {};
+              const callArgs = args.length > 1 ? [params, requestOptions, ...args.slice(2)] : args;
+              return limiter.schedule(params, () => value.apply(obj, callArgs), { retryTimeouts });
+            }
+            return value.apply(obj, args);
+          };
+        }
+        if (value && typeof value === 'object') {
+          return wrap(value);
+        }
+        return value;
+      },
+    });
+    proxies.set(target, proxy);
+    return proxy;
   };
-  
-  return rateLimitedClient;
+
+  return wrap(openai);
+}
+
+/**
+ * Rough token cost of a request: prompt at ~4 chars per token, plus the output budget. Both the limiter's token
+ * quotas and the failover's context window check (see services/providers.js) count with it.
+ * @param {Object} params - Request params
+ * @returns {number} Estimated tokens
+ */
+function estimateTokens(params) {
+  const input = params.messages
+    ? params.messages.reduce((sum, message) => sum + String(message.content || '').length, 0)
+    : String(params.input || params.prompt || '').length;
+  return Math.round(input / 4) + (params.max_tokens || DEFAULT_OUTPUT_TOKENS);
+}
+
+/**
+ * Whether a failed call is worth retrying.
+ * @param {Error} error - Error thrown by the client
+ * @returns {boolean} True for rate limits, server errors, timeouts and connection errors
+ */
+function isRetryable(error) {
+  if (error instanceof QuotaExceededError) {
+    return false;
+  }
+  if (error.status) {
+    return RETRYABLE_STATUSES.includes(error.status);
+  }
+  // No status: the request never got an answer (APIConnectionError, APIConnectionTimeoutError, ...)
+  return true;
+}
+
+/**
+ * Whether a call failed because the request timed out.
+ * @param {Error} error - Error thrown by the client
+ * @returns {boolean} True for the client's own timeout (APIConnectionTimeoutError) and 408 answers
+ */
+function isTimeout(error) {
+  return error.name === 'APIConnectionTimeoutError' || error.status === 408 || (!error.status && /timed? ?out/i.test(error.message));
+}
+
+/**
+ * Reads the delay requested by the provider through Retry-After (seconds or HTTP date) or retry-after-ms.
+ * @param {Error} error - Error thrown by the client
+ * @returns {number|null} Delay in ms, or null if the provider did not say
+ */
+function getRetryAfter(error) {
+  const headers = error.headers;
+  if (!headers) {
+    return null;
+  }
+  const header = (name) => (typeof headers.get === 'function' ? headers.get(name) : headers[name]);
+
+  const ms = Number(header('retry-after-ms'));
+  if (ms > 0) {
+    return ms;
+  }
+  const value = header('retry-after');
+  if (!value) {
+    return null;
+  }
+  const seconds = Number(value);
+  if (!Number.isNaN(seconds)) {
+    return seconds * 1000;
+  }
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
 }
 
 module.exports = {
   createRateLimitedClient,
+  createRateLimiter,
+  QuotaExceededError,
+  estimateTokens,
   RATE_LIMITS
-};
\ No newline at end of file
+};
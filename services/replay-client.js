@@ -0,0 +1,142 @@
+/**
+ * LLM clients for offline runs and tests: one that saves real responses to files, one that replays them,
+ * and a scripted fake. All expose the chat.completions.create(params, options) surface of createRateLimitedClient.
+ */
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+/**
+ * Key of a request: a hash of everything that shapes the answer, so an edited prompt or another model
+ * never replays a stale response.
+ * @param {Object} params - chat.completions.create params
+ * @returns {string} Hex digest
+ */
+function requestKey(params) {
+  const { model, messages, response_format, temperature, max_tokens } = params;
+  return crypto
+    .createHash('sha256')
+    .update(JSON.stringify({ model, messages, response_format, temperature, max_tokens }))
+    .digest('hex');
+}
+
+/**
+ * Wraps a client so every response is also saved to `<dir>/<request key>.json`.
+ * @param {Object} openai - Client to record, e.g. a failover client
+ * @param {string} dir - Recordings directory, created if missing
+ * @returns {Object} Client exposing chat.completions.create
+ */
+function createRecordingClient(openai, dir) {
+  return {
+    chat: {
+      completions: {
+        create: async (params, options) => {
+          const response = await openai.chat.completions.create(params, options);
+          const key = requestKey(params);
+          fs.mkdirSync(dir, { recursive: true });
+          fs.writeFileSync(path.join(dir, `${key}.json`), JSON.stringify({
+            key,
+            model: params.model,
+            recorded_at: new Date().toISOString(),
+            request: params,
+            response: { choices: response.choices, usage: response.usage, llm: response.llm },
+          }, null, 2));
+          return response;
+        }
+      }
+    }
+  };
+}
+
+/**
+ * Client answering from recordings only, without any network call.
+ * @param {string} dir - Recordings directory, as written by createRecordingClient
+ * @returns {Object} Client exposing chat.completions.create, and stats: { responses, references } counting the responses
+ * replayed and those of them that are hand-written reference answers rather than provider output; it throws when a
+ * request was never recorded
+ */
+function createReplayClient(dir) {
+  const stats = { responses: 0, references: 0 };
+  return {
+    stats,
+    chat: {
+      completions: {
+        create: async (params) => {
+          const key = requestKey(params);
+          const file = path.join(dir, `${key}.json`);
+          if (!fs.existsSync(file)) {
+            throw new Error(`No recorded response for this ${params.model} request (${key.slice(0, 12)}) in ${dir}`);
+          }
+          const recording = JSON.parse(fs.readFileSync(file, 'utf8'));
+          stats.responses++;
+          if (recording.reference) {
+            stats.references++;
+          }
+          return recording.response;
+        }
+      }
+    }
+  };
+}
+
+/**
+ * Fake client answering from a script, one step per request. A step is one of:
+ * - { json }: the object, serialized, as a complete response
+ * - { content, finish_reason }: raw content, e.g. invalid JSON
+ * - { truncated, at }: the object or string cut after `at` characters (default half), with finish_reason 'length'
+ * - { error: { status, message, headers } }: thrown like an OpenAI APIError; without status, like a connection error
+ * @param {Array<Object>|Function} script - Steps in request order, or (params, index) => step
+ * @param {Object} options - Optional settings
+ * @param {Object} options.llm - Provider and model reported in response.llm, as the failover client does (default none)
+ * @returns {Object} Client exposing chat.completions.create, with the params of every request in `calls`
+ */
+function createScriptedClient(script, options = {}) {
+  const calls = [];
+  return {
+    calls,
+    chat: {
+      completions: {
+        create: async (params) => {
+          const index = calls.length;
+          calls.push(params);
+          const step = typeof script === 'function' ? await script(params, index) : script[index];
+          if (!step) {
+            throw new Error(`Scripted client has no response for request ${index + 1}`);
+          }
+          if (step.error) {
+            throw Object.assign(new Error(step.error.message || `Scripted error ${step.error.status || ''}`.trim()), {
+              status: step.error.status,
+              headers: step.error.headers,
+            });
+          }
+
+          let content;
+          let finishReason = step.finish_reason || 'stop';
+          if (step.truncated !== undefined) {
+            const full = typeof step.truncated === 'string' ? step.truncated : JSON.stringify(step.truncated);
+            content = full.slice(0, step.at ?? Math.floor(full.length / 2));
+            finishReason = 'length';
+          } else {
+            content = step.json !== undefined ? JSON.stringify(step.json) : step.content;
+          }
+
+          // Rough token counts, so the limiter stats and the run ledger have something to add up
+          const promptTokens = Math.ceil(params.messages.reduce((total, message) => total + message.content.length, 0) / 4);
+          const completionTokens = Math.ceil((content || '').length / 4);
+          return {
+            choices: [{ index: 0, message: { role: 'assistant', content }, finish_reason: finishReason }],
+            usage: { prompt_tokens: promptTokens, completion_tokens: completionTokens, total_tokens: promptTokens + completionTokens },
+            ...(options.llm ? { llm: options.llm } : {}),
+          };
+        }
+      }
+    }
+  };
+}
+
+module.exports = {
+  createRecordingClient,
+  createReplayClient,
+  createScriptedClient,
+  requestKey,
+};
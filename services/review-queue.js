@@ -0,0 +1,144 @@
+/**
+ * Review queue: changes waiting for a reviewer, and the reviewer's decisions on them
+ */
+const { logger } = require('./logger');
+const { loadTaxonomy } = require('./taxonomy');
+const { previousLabels } = require('./classification');
+
+// What a reviewer can do with a change
+const ACTIONS = ['accept', 'correct', 'noise'];
+
+// Review status a change gets from each action
+const STATUSES = { accept: 'accepted', correct: 'corrected', noise: 'noise' };
+
+/**
+ * Lists the changes waiting for a review, oldest first.
+ * @param {Object} storage - Storage backend (see services/storage.js)
+ * @param {Object} options - Optional settings
+ * @param {string} options.sourceId - Only changes of this source
+ * @param {Object} options.logger - Logger from createLogger (default: shared logger)
+ * @returns {Array<Object>|null} Pending changes, or null if they could not be fetched
+ */
+async function listPendingReviews(storage, options = {}) {
+  const log = options.logger || logger;
+  const { data, error } = await storage.listChanges({ reviewStatus: 'pending', sourceId: options.sourceId });
+  if (error) {
+    log.error('Error fetching changes pending review', { error: error.message });
+    return null;
+  }
+  log.info('Changes pending review', { changes: data.length });
+  return data.sort((a, b) => String(a.timestamp).localeCompare(String(b.timestamp)));
+}
+
+/**
+ * Applies a reviewer's decision to a change and records it in change_reviews, where the differ and the classifier
+ * of the same source find it as an example (see services/review.js).
+ * 'accept' makes the classification final as is, 'correct' replaces the summary and/or the classification,
+ * 'noise' dismisses the change: it is never notified nor published, and its deadlines leave the calendar.
+ * A corrected summary has its deadlines extracted again by the next run.
+ * @param {Object} storage - Storage backend (see services/storage.js)
+ * @param {string} changeId - Change reviewed
+ * @param {Object} decision - { action, summary, classification, explanation, reviewer, note }; summary, classification
+ * and explanation are only read by 'correct'
+ * @param {Object} options - Optional settings
+ * @param {Object} options.logger - Logger from createLogger (default: shared logger)
+ * @returns {Object} { change_id, status, review_status, change, error }, status being one of 'reviewed', 'not_found',
+ * 'invalid', 'failed'; change is the updated change
+ */
+async function reviewChange(storage, changeId, decision, options = {}) {
+  const log = (options.logger || logger).child({ change_id: changeId });
+  const { action, reviewer } = decision;
+  const invalid = (error) => ({ change_id: changeId, status: 'invalid', error });
+
+  if (!ACTIONS.includes(action)) {
+    return invalid(`Unknown review action "${action}", expected one of ${ACTIONS.join(', ')}`);
+  }
+  if (!reviewer) {
+    return invalid('A reviewer name is required');
+  }
+  if (action === 'correct' && !decision.summary && !decision.classification) {
+    return invalid('A correction needs a new summary or a new classification');
+  }
+
+  const { data: changes, error: fetchError } = await storage.listChanges({ changeId });
+  if (fetchError) {
+    log.error('Error fetching change', { error: fetchError.message });
+    return { change_id: changeId, status: 'failed', error: fetchError.message };
+  }
+  const change = changes[0];
+  if (!change) {
+    return { change_id: changeId, status: 'not_found', error: `No change ${changeId}` };
+  }
+  if (action === 'accept' && !change.classification) {
+    return invalid('The change has no classification to accept yet');
+  }
+  if (decision.classification) {
+    // Labels come from the taxonomy the change was classified with, or the current one
+    const { labels } = loadTaxonomy(change.classification_taxonomy || undefined);
+    if (!labels.includes(decision.classification)) {
+      return invalid(`Unknown classification "${decision.classification}", expected one of ${labels.join(', ')}`);
+    }
+  }
+
+  const reviewedAt = new Date().toISOString();
+  const values = { review_status: STATUSES[action], reviewed_by: reviewer, reviewed_at: reviewedAt };
+  const corrected = {};
+  if (action === 'correct') {
+    if (decision.summary && decision.summary !== change.diff?.summary) {
+      corrected.summary = decision.summary;
+      values.diff = { ...change.diff, summary: decision.summary };
+      values.events_extracted_at = null;
+    }
+    if (decision.classification && decision.classification !== change.classification) {
+      corrected.classification = decision.classification;
+      corrected.explanation = decision.explanation || decision.note || `Set by reviewer ${reviewer}`;
+      Object.assign(values, {
+        classification: corrected.classification,
+        explanation: corrected.explanation,
+        secondary_labels: (change.secondary_labels || []).filter((label) => label !== corrected.classification),
+        classified_at: reviewedAt,
+        ...(change.classification ? { classification_history: [...(change.classification_history || []), previousLabels(change)] } : {}),
+      });
+    }
+    if (!Object.keys(corrected).length) {
+      return invalid('The correction does not change the summary nor the classification');
+    }
+  }
+
+  const { error: updateError } = await storage.updateChange(changeId, values);
+  if (updateError) {
+    log.error('Error updating reviewed change', { error: updateError.message });
+    return { change_id: changeId, status: 'failed', error: updateError.message };
+  }
+
+  if (action === 'noise') {
+    const { error: deleteError } = await storage.deleteChangeEvents(changeId);
+    if (deleteError) {
+      log.error('Error removing the deadlines of a noise change', { error: deleteError.message });
+    }
+  }
+
+  const { error: insertError } = await storage.insertChangeReview({
+    change_id: changeId,
+    source_id: change.source_id,
+    action,
+    reviewer,
+    note: decision.note || null,
+    original: { summary: change.diff?.summary || null, classification: change.classification, explanation: change.explanation },
+    corrected: action === 'correct' ? corrected : null,
+    created_at: reviewedAt,
+  });
+  if (insertError) {
+    // The change itself is reviewed; only its use as an example is lost
+    log.error('Error recording review', { error: insertError.message });
+  }
+
+  log.info('Change reviewed', { action, reviewer, review_status: values.review_status, corrected: Object.keys(corrected) });
+  return { change_id: changeId, status: 'reviewed', review_status: values.review_status, change: { ...change, ...values } };
+}
+
+module.exports = {
+  listPendingReviews,
+  reviewChange,
+  REVIEW_ACTIONS: ACTIONS,
+};
@@ -0,0 +1,102 @@
+/**
+ * Human review: which changes wait for a reviewer, and reviewer corrections turned into few-shot examples for the prompts
+ */
+const { logger } = require('./logger');
+
+// Which classified changes wait for a review, unless REVIEW_MODE says otherwise: 'all' holds every change,
+// 'low_confidence' only those under CLASSIFICATION_MIN_CONFIDENCE, 'off' none
+const DEFAULT_MODE = 'all';
+
+// Corrections shown to the differ and the classifier of a source, unless REVIEW_EXAMPLES says otherwise
+const DEFAULT_EXAMPLES = 3;
+
+// Longest summary quoted in an example
+const MAX_EXAMPLE_CHARS = 600;
+
+// Review statuses of changes that are not notified nor published: waiting for a reviewer, or dismissed as noise
+const HELD_REVIEW_STATUSES = ['pending', 'noise'];
+
+// Review statuses set by a reviewer, which a reclassification must not overwrite
+const REVIEWED_STATUSES = ['accepted', 'corrected', 'noise'];
+
+/**
+ * Reads the review mode from the environment.
+ * @param {Object} env - Environment variables (default process.env)
+ * @returns {string} 'low_confidence', 'all' or 'off'
+ */
+function getReviewMode(env = process.env) {
+  const mode = env.REVIEW_MODE || DEFAULT_MODE;
+  if (!['low_confidence', 'all', 'off'].includes(mode)) {
+    throw new Error(`Unknown REVIEW_MODE "${mode}", expected low_confidence, all or off`);
+  }
+  return mode;
+}
+
+/**
+ * Builds the few-shot examples of a source from its latest reviewer corrections.
+ * The differ learns from edited summaries and changes dismissed as noise, the classifier from overridden classifications.
+ * @param {Object} storage - Storage backend (see services/storage.js)
+ * @param {string} sourceId - Source whose corrections are used
+ * @param {string} role - 'differ' or 'classifier'
+ * @param {Object} options - Optional settings
+ * @param {number} options.limit - Examples at most (default REVIEW_EXAMPLES or 3; 0 disables them)
+ * @param {Object} options.log - Logger
+ * @returns {string} Examples to insert in the prompt, or '' if there are none
+ */
+async function getReviewExamples(storage, sourceId, role, options = {}) {
+  const log = options.log || logger;
+  const limit = options.limit ?? (process.env.REVIEW_EXAMPLES !== undefined ? Number(process.env.REVIEW_EXAMPLES) : DEFAULT_EXAMPLES);
+  if (!limit || !sourceId) {
+    return '';
+  }
+
+  const { data: reviews, error } = await storage.listChangeReviews({ sourceId, actions: ['correct', 'noise'] });
+  if (error) {
+    // Prompts work without examples: a failed lookup must not fail the change
+    log.error('Error fetching review corrections, prompting without examples', { error: error.message });
+    return '';
+  }
+
+  const examples = reviews
+    .filter((review) => (role === 'differ'
+      ? review.action === 'noise' || review.corrected?.summary
+      : review.action === 'correct' && review.corrected?.classification))
+    .slice(0, limit)
+    .map((review, index) => formatExample(review, role, index + 1));
+  log.debug('Review examples', { role, examples: examples.length });
+  return examples.join('\n\n');
+}
+
+/**
+ * Renders one reviewer correction as a prompt example.
+ * @param {Object} review - change_reviews row
+ * @param {string} role - 'differ' or 'classifier'
+ * @param {number} number - Example number
+ * @returns {string} Example
+ */
+function formatExample(review, role, number) {
+  const quote = (text) => (text || '').slice(0, MAX_EXAMPLE_CHARS);
+  const { original, corrected } = review;
+  const lines = [`Example ${number}:`];
+  if (role === 'classifier') {
+    lines.push(
+      `Summary: ${quote(corrected.summary || original.summary)}`,
+      `Classified as "${original.classification}", corrected by a reviewer to "${corrected.classification}".`
+    );
+  } else if (review.action === 'noise') {
+    lines.push(`Summary: ${quote(original.summary)}`, 'A reviewer marked this as noise: it is not a meaningful change and should not have been reported.');
+  } else {
+    lines.push(`Summary written: ${quote(original.summary)}`, `Corrected by a reviewer to: ${quote(corrected.summary)}`);
+  }
+  if (review.note) {
+    lines.push(`Reviewer note: ${quote(review.note)}`);
+  }
+  return lines.join('\n');
+}
+
+module.exports = {
+  getReviewMode,
+  getReviewExamples,
+  HELD_REVIEW_STATUSES,
+  REVIEWED_STATUSES,
+};
@@ -0,0 +1,189 @@
+/**
+ * Run ledger: records every job run in job_runs, with its outcomes, LLM usage and final status
+ */
+const { logger } = require('./logger');
+
+// A run fails when more than this share of its sources and changes failed, unless MAX_FAILURE_RATE says otherwise
+const DEFAULT_MAX_FAILURE_RATE = 0.2;
+
+// Source statuses of sources the schedule left alone: they were not processed at all
+const IDLE_STATUSES = ['not_due', 'no_new_snapshot'];
+
+// How each service status counts in the run summary
+const OUTCOMES = {
+  stored: 'stored',
+  identical: 'no_change',
+  no_changes: 'no_change',
+  duplicate: 'duplicate',
+  exists: 'skipped',
+  skipped: 'skipped',
+  not_due: 'not_due',
+  no_new_snapshot: 'no_new_snapshot',
+  classified: 'classified',
+  needs_review: 'needs_review',
+  extracted: 'deadlines_extracted',
+  no_dates: 'no_dates',
+  delivered: 'notified',
+  invalid: 'failed',
+  failed: 'failed',
+};
+
+/**
+ * Records the start of a run.
+ * @param {Object} storage - Storage backend (see services/storage.js)
+ * @param {string} command - What the run does, e.g. 'run' or 'backfill'
+ * @param {Object} differ - Model used for computing diff
+ * @param {Object} classifier - Model used for classifying changes
+ * @param {Object} options - Optional settings
+ * @param {string} options.id - Run id, to match the run_id of the logs (default: generated by the database)
+ * @param {Object} options.logger - Logger from createLogger (default: shared logger)
+ * @returns {Object} The run, with id (null if it could not be recorded) and started_at
+ */
+async function startRun(storage, command, differ, classifier, options = {}) {
+  const log = options.logger || logger;
+  const run = {
+    ...(options.id ? { id: options.id } : {}),
+    command,
+    status: 'running',
+    started_at: new Date().toISOString(),
+    differ_provider: differ.provider,
+    differ_model: differ.model,
+    classifier_provider: classifier.provider,
+    classifier_model: classifier.model,
+  };
+
+  const { data, error } = await storage.insertJobRun(run);
+  if (error) {
+    log.error('Error recording job run', { error: error.message });
+  }
+  log.info('Job run started', { command, recorded: !!data?.id });
+  return { ...run, id: data?.id || null };
+}
+
+/**
+ * Records the end of a run and decides whether it failed.
+ * @param {Object} storage - Storage backend (see services/storage.js)
+ * @param {Object} run - Run returned by startRun
+ * @param {Object} results - What the run did
+ * @param {Array<Object>} results.diffs - Outcomes of computeDiffs or backfillDiffs
+ * @param {Array<Object>} results.classifications - Outcomes of classifyChanges
+ * @param {Array<Object>} results.extractions - Outcomes of extractDeadlines
+ * @param {Array<Object>} results.notifications - Outcomes of dispatchNotifications
+ * @param {Object} results.limiter - Limiter from createRateLimiter, for token usage and latency
+ * @param {Error} results.error - Error that stopped the run, if any
+ * @param {Object} options - Optional settings
+ * @param {Object} options.env - Environment variables (default process.env)
+ * @param {Object} options.logger - Logger from createLogger (default: shared logger)
+ * @returns {Object} The finished run: status is 'failed' if it threw or its failure rate crossed MAX_FAILURE_RATE
+ */
+async function finishRun(storage, run, results, options = {}) {
+  const env = options.env || process.env;
+  const log = options.logger || logger;
+  const { diffs = [], classifications = [], extractions = [], notifications = [], limiter, error } = results;
+  const maxFailureRate = env.MAX_FAILURE_RATE !== undefined ? Number(env.MAX_FAILURE_RATE) : DEFAULT_MAX_FAILURE_RATE;
+  const finishedAt = new Date();
+
+  const totals = {};
+  for (const outcome of [...diffs, ...classifications, ...extractions, ...notifications]) {
+    const key = OUTCOMES[outcome.status] || outcome.status;
+    totals[key] = (totals[key] || 0) + 1;
+  }
+
+  // Deadline extractions and notifications are retried on the next run, so only sources and changes count towards
+  // the failure rate, and sources the schedule left alone do not count at all
+  const diffed = diffs.filter((outcome) => !IDLE_STATUSES.includes(outcome.status));
+  const processed = diffed.length + classifications.length;
+  const failed = [...diffed, ...classifications].filter((outcome) => OUTCOMES[outcome.status] === 'failed').length;
+  const failureRate = processed ? failed / processed : 0;
+
+  const usage = {};
+  for (const [model, stats] of Object.entries(limiter ? limiter.getStats() : {})) {
+    usage[model] = {
+      requests: stats.requests,
+      errors: stats.errors,
+      prompt_tokens: stats.promptTokens,
+      completion_tokens: stats.completionTokens,
+      avg_latency_ms: Math.round(stats.latencyMs / (stats.requests || 1)),
+    };
+  }
+
+  const finished = {
+    ...run,
+    status: error || failureRate > maxFailureRate ? 'failed' : 'succeeded',
+    finished_at: finishedAt.toISOString(),
+    duration_ms: finishedAt - new Date(run.started_at),
+    source_outcomes: diffs.map((outcome) => ({
+      source_id: outcome.source_id,
+      url: outcome.url,
+      status: outcome.status,
+      outcome: OUTCOMES[outcome.status] || outcome.status,
+      error: outcome.error || null,
+      hashes: outcome.hashes || null, // raw and normalized snapshot hashes, showing why a pair was skipped
+      duration_ms: outcome.duration_ms,
+    })),
+    totals,
+    usage,
+    failure_rate: Math.round(failureRate * 1000) / 1000,
+    error: error ? error.message : null,
+  };
+
+  if (run.id) {
+    const { id, ...values } = finished;
+    const { error: updateError } = await storage.updateJobRun(id, values);
+    if (updateError) {
+      log.error('Error recording the end of job run', { error: updateError.message });
+    }
+  }
+  return finished;
+}
+
+/**
+ * Logs the final summary of a run. Usage per model is logged by logLimiterStats.
+ * @param {Object} run - Run returned by finishRun
+ * @param {Object} log - Logger (default: shared logger)
+ */
+function logRunSummary(run, log = logger) {
+  for (const outcome of run.source_outcomes.filter((o) => o.outcome === 'failed')) {
+    log.warn('Source failed', { source_id: outcome.source_id, url: outcome.url, error: outcome.error });
+  }
+  const tokens = Object.values(run.usage).reduce((sum, usage) => sum + usage.prompt_tokens + usage.completion_tokens, 0);
+  (run.status === 'failed' ? log.error : log.info)(`Job run ${run.status}`, {
+    command: run.command,
+    duration_ms: run.duration_ms,
+    totals: run.totals,
+    tokens,
+    failure_rate: run.failure_rate,
+    error: run.error,
+  });
+}
+
+/**
+ * Adds up the LLM usage recorded by the runs started on a day, for the limiter's daily quotas. Runs still going have
+ * no usage recorded yet and are left out.
+ * @param {Object} storage - Storage backend (see services/storage.js)
+ * @param {string} day - YYYY-MM-DD day (UTC)
+ * @returns {Object} Map of model names to { requests, tokens }
+ * @throws {Error} If the runs could not be fetched
+ */
+async function getDailyUsage(storage, day) {
+  const { data: runs, error } = await storage.listJobRunUsage({ since: `${day}T00:00:00.000Z` });
+  if (error) {
+    throw new Error(`Error fetching job runs: ${error.message}`);
+  }
+  const totals = {};
+  for (const run of runs.filter((r) => String(r.started_at).slice(0, 10) === day)) {
+    for (const [model, usage] of Object.entries(run.usage)) {
+      const total = totals[model] || (totals[model] = { requests: 0, tokens: 0 });
+      total.requests += usage.requests || 0;
+      total.tokens += (usage.prompt_tokens || 0) + (usage.completion_tokens || 0);
+    }
+  }
+  return totals;
+}
+
+module.exports = {
+  startRun,
+  finishRun,
+  logRunSummary,
+  getDailyUsage,
+};
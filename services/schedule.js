@@ -0,0 +1,97 @@
+/**
+ * Per-source scheduling: when a source is due for a diff, given its cadence, its failures and the state kept
+ * in source_states
+ */
+
+// Minutes between two diffs of a source, unless its schedule or SCHEDULE_CADENCE_MINUTES says otherwise;
+// 0 diffs it on every run that finds a new snapshot
+const DEFAULT_CADENCE_MINUTES = 0;
+
+// Wait after a first failure, doubled on each failure in a row, unless SCHEDULE_BACKOFF_MINUTES says otherwise
+const DEFAULT_BACKOFF_MINUTES = 30;
+
+// Longest wait between two attempts of a failing source, unless SCHEDULE_MAX_BACKOFF_MINUTES says otherwise
+const DEFAULT_MAX_BACKOFF_MINUTES = 24 * 60;
+
+// Runs start a little early or late: a source is due this long before its cadence is up
+const CADENCE_TOLERANCE_MS = 5 * 60 * 1000;
+
+const MINUTE_MS = 60 * 1000;
+
+/**
+ * Reads the schedule of a source: its own settings (sources.schedule), then the environment.
+ * @param {Object} source - Source row, with an optional schedule { cadence_minutes, backoff_minutes, max_backoff_minutes }
+ * @param {Object} env - Environment variables (default process.env)
+ * @returns {Object} { cadenceMinutes, backoffMinutes, maxBackoffMinutes }
+ */
+function getSchedule(source, env = process.env) {
+  const pick = (value, fallback) => {
+    const minutes = Number(value ?? fallback);
+    return Number.isFinite(minutes) && minutes >= 0 ? minutes : Number(fallback);
+  };
+  const schedule = source.schedule || {};
+  return {
+    cadenceMinutes: pick(schedule.cadence_minutes, env.SCHEDULE_CADENCE_MINUTES ?? DEFAULT_CADENCE_MINUTES),
+    backoffMinutes: pick(schedule.backoff_minutes, env.SCHEDULE_BACKOFF_MINUTES ?? DEFAULT_BACKOFF_MINUTES),
+    maxBackoffMinutes: pick(schedule.max_backoff_minutes, env.SCHEDULE_MAX_BACKOFF_MINUTES ?? DEFAULT_MAX_BACKOFF_MINUTES),
+  };
+}
+
+/**
+ * Tells whether a source may be diffed now.
+ * @param {Object} schedule - Schedule from getSchedule
+ * @param {Object|null} state - The source's source_states row, null if it was never processed
+ * @param {Date} now - Current time
+ * @returns {Object|null} null if the source is due, otherwise { reason, next_run_at }, reason being 'backoff' while
+ * a failing source waits, or 'cadence' while its last diff is too recent
+ */
+function checkDue(schedule, state, now = new Date()) {
+  if (!state) {
+    return null;
+  }
+  if (state.next_attempt_at && new Date(state.next_attempt_at) > now) {
+    return { reason: 'backoff', next_run_at: state.next_attempt_at };
+  }
+  if (schedule.cadenceMinutes && state.last_run_at) {
+    const nextRun = new Date(new Date(state.last_run_at).getTime() + schedule.cadenceMinutes * MINUTE_MS);
+    if (nextRun.getTime() - CADENCE_TOLERANCE_MS > now.getTime()) {
+      return { reason: 'cadence', next_run_at: nextRun.toISOString() };
+    }
+  }
+  return null;
+}
+
+/**
+ * Computes the state of a source after it was diffed. A failed source keeps its last snapshot, so the same snapshot
+ * is tried again once its backoff is over: the wait doubles with every failure in a row, up to maxBackoffMinutes.
+ * @param {Object} source - Source row with id
+ * @param {Object} schedule - Schedule from getSchedule
+ * @param {Object|null} state - The source's previous source_states row, null if it was never processed
+ * @param {Object} outcome - Outcome of the source: { status, error }
+ * @param {number|null} snapshotId - Newest snapshot of the source when it was diffed
+ * @param {Date} now - Current time
+ * @returns {Object} The new source_states row
+ */
+function nextState(source, schedule, state, outcome, snapshotId, now = new Date()) {
+  const previous = state || {};
+  const failed = outcome.status === 'failed';
+  const failures = failed ? (previous.consecutive_failures || 0) + 1 : 0;
+  const backoffMinutes = Math.min(schedule.backoffMinutes * 2 ** (failures - 1), schedule.maxBackoffMinutes);
+  return {
+    source_id: source.id,
+    last_snapshot_id: failed ? previous.last_snapshot_id ?? null : snapshotId,
+    last_run_at: now.toISOString(),
+    last_status: outcome.status,
+    last_error: outcome.error || null,
+    last_success_at: failed ? previous.last_success_at || null : now.toISOString(),
+    consecutive_failures: failures,
+    next_attempt_at: failed ? new Date(now.getTime() + backoffMinutes * MINUTE_MS).toISOString() : null,
+    updated_at: now.toISOString(),
+  };
+}
+
+module.exports = {
+  getSchedule,
+  checkDue,
+  nextState,
+};
@@ -0,0 +1,551 @@
+/**
+ * Storage layer: every query the jobs run against sources, source_states, dom_snapshots, changes, change_reviews,
+ * change_events, subscribers, notification_deliveries and job_runs.
+ * Methods resolve to `{ data, error }`, like Supabase queries, whatever the backend.
+ */
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+// Supabase caps the rows returned by a single query
+const PAGE_SIZE = 1000;
+
+// Columns of sources used by the jobs
+const SOURCE_COLUMNS = ['id', 'url', 'prompt_profile', 'prompt_templates', 'normalization', 'schedule'];
+
+/**
+ * Creates the storage backend selected by the STORAGE environment variable.
+ * @param {Object} env - Environment variables (default process.env)
+ * @returns {Object} Storage backend: 'supabase' (default) or 'file', reading STORAGE_PATH
+ */
+function createStorage(env = process.env) {
+  const backend = env.STORAGE || 'supabase';
+  if (backend === 'file') {
+    return createFileStorage(env.STORAGE_PATH || 'data/daily-changes.json');
+  }
+  if (backend === 'supabase') {
+    // Required lazily, so offline runs do not need Supabase at all
+    const { createClient } = require('@supabase/supabase-js');
+    return createSupabaseStorage(createClient(env.SUPABASE_URL, env.SUPABASE_ANON_KEY));
+  }
+  throw new Error(`Unknown storage "${backend}", expected supabase or file`);
+}
+
+/**
+ * Storage backed by a Supabase project.
+ * @param {Object} supabase - Supabase client instance
+ * @returns {Object} Storage backend
+ */
+function createSupabaseStorage(supabase) {
+  return {
+    getActiveSources({ sourceId } = {}) {
+      let query = supabase
+        .from('sources')
+        .select(SOURCE_COLUMNS.join(', '))
+        .eq('is_active', true);
+      if (sourceId) query = query.eq('id', sourceId);
+      return query;
+    },
+
+    getSourcesByIds(ids) {
+      return supabase
+        .from('sources')
+        .select(SOURCE_COLUMNS.join(', '))
+        .in('id', ids);
+    },
+
+    getActiveSourceByUrl(url) {
+      return supabase
+        .from('sources')
+        .select(SOURCE_COLUMNS.join(', '))
+        .eq('url', url)
+        .eq('is_active', true)
+        .single();
+    },
+
+    listSourceStates(sourceIds) {
+      return supabase
+        .from('source_states')
+        .select('*')
+        .in('source_id', sourceIds);
+    },
+
+    upsertSourceState(state) {
+      return supabase
+        .from('source_states')
+        .upsert(state, { onConflict: 'source_id' });
+    },
+
+    getLatestSnapshots(url, limit) {
+      return supabase
+        .from('dom_snapshots')
+        .select('id, content')
+        .eq('url', url)
+        .order('captured_at', { ascending: false })
+        .limit(limit);
+    },
+
+    async getLatestSnapshotId(url) {
+      const { data, error } = await supabase
+        .from('dom_snapshots')
+        .select('id, captured_at')
+        .eq('url', url)
+        .order('captured_at', { ascending: false })
+        .limit(1);
+      return { data: data?.[0] || null, error };
+    },
+
+    async listSnapshots(url, { since, until } = {}) {
+      const snapshots = [];
+      for (let from = 0; ; from += PAGE_SIZE) {
+        let query = supabase
+          .from('dom_snapshots')
+          .select('id, captured_at')
+          .eq('url', url);
+        if (since) query = query.gte('captured_at', since);
+        if (until) query = query.lte('captured_at', until);
+        const { data, error } = await query
+          .order('captured_at', { ascending: true })
+          .range(from, from + PAGE_SIZE - 1);
+
+        if (error) {
+          return { data: null, error };
+        }
+        snapshots.push(...data);
+        if (data.length < PAGE_SIZE) {
+          return { data: snapshots, error: null };
+        }
+      }
+    },
+
+    getSnapshot(id) {
+      return supabase
+        .from('dom_snapshots')
+        .select('id, content, url')
+        .eq('id', id)
+        .single();
+    },
+
+    getSnapshotsByIds(ids) {
+      return supabase
+        .from('dom_snapshots')
+        .select('id, content, url')
+        .in('id', ids);
+    },
+
+    async getLatestChange(sourceId, { before } = {}) {
+      let query = supabase
+        .from('changes')
+        .select('id, diff')
+        .eq('source_id', sourceId);
+      if (before) query = query.lte('timestamp', before);
+      const { data, error } = await query
+        .order('timestamp', { ascending: false })
+        .limit(1);
+      return { data: data?.[0] || null, error };
+    },
+
+    async getChangeForPair(snapshotId1, snapshotId2) {
+      const { data, error } = await supabase
+        .from('changes')
+        .select('id, diff')
+        .eq('snapshot_id1', snapshotId1)
+        .eq('snapshot_id2', snapshotId2)
+        .limit(1);
+      return { data: data?.[0] || null, error };
+    },
+
+    listChanges({ changeId, unclassified, classified, classification, classifications, excludeDuplicates, reviewStatus, excludeReviewStatuses, eventsUnextracted, sourceId, sourceIds, since, until, order, limit } = {}) {
+      let query = supabase
+        .from('changes')
+        .select('*');
+      if (changeId) query = query.eq('id', changeId);
+      if (unclassified) query = query.is('classification', null);
+      if (classified) query = query.not('classification', 'is', null);
+      if (classification) query = query.eq('classification', classification);
+      if (classifications) query = query.in('classification', classifications);
+      if (excludeDuplicates) query = query.is('duplicate_of', null);
+      if (reviewStatus) query = query.eq('review_status', reviewStatus);
+      if (excludeReviewStatuses) query = query.or(`review_status.is.null,review_status.not.in.(${excludeReviewStatuses.join(',')})`);
+      if (eventsUnextracted) query = query.is('events_extracted_at', null);
+      if (sourceId) query = query.eq('source_id', sourceId);
+      if (sourceIds) query = query.in('source_id', sourceIds);
+      if (since) query = query.gte('timestamp', since);
+      if (until) query = query.lte('timestamp', until);
+      // Sorted and cut by the database: a query returns PAGE_SIZE rows at most
+      if (order) query = query.order('timestamp', { ascending: order === 'asc' });
+      return limit ? query.limit(limit) : query;
+    },
+
+    insertChange(change) {
+      return supabase
+        .from('changes')
+        .insert(change)
+        .select()
+        .single();
+    },
+
+    updateChange(id, values) {
+      return supabase
+        .from('changes')
+        .update(values)
+        .eq('id', id);
+    },
+
+    insertChangeReview(review) {
+      return supabase
+        .from('change_reviews')
+        .insert(review)
+        .select()
+        .single();
+    },
+
+    listChangeReviews({ sourceId, actions, limit } = {}) {
+      let query = supabase
+        .from('change_reviews')
+        .select('*');
+      if (sourceId) query = query.eq('source_id', sourceId);
+      if (actions) query = query.in('action', actions);
+      query = query.order('created_at', { ascending: false });
+      return limit ? query.limit(limit) : query;
+    },
+
+    insertChangeEvents(events) {
+      return supabase
+        .from('change_events')
+        .insert(events)
+        .select();
+    },
+
+    deleteChangeEvents(changeId) {
+      return supabase
+        .from('change_events')
+        .delete()
+        .eq('change_id', changeId);
+    },
+
+    listChangeEvents({ sourceId, changeId, types, since, until } = {}) {
+      let query = supabase
+        .from('change_events')
+        .select('*');
+      if (sourceId) query = query.eq('source_id', sourceId);
+      if (changeId) query = query.eq('change_id', changeId);
+      if (types) query = query.in('type', types);
+      if (since) query = query.gte('date', since);
+      if (until) query = query.lte('date', until);
+      return query.order('date', { ascending: true });
+    },
+
+    listSubscribers() {
+      return supabase
+        .from('subscribers')
+        .select('*')
+        .eq('is_active', true);
+    },
+
+    listDeliveries(changeIds) {
+      return supabase
+        .from('notification_deliveries')
+        .select('*')
+        .in('change_id', changeIds);
+    },
+
+    upsertDelivery(delivery) {
+      return supabase
+        .from('notification_deliveries')
+        .upsert(delivery, { onConflict: 'change_id,subscriber_id' });
+    },
+
+    insertJobRun(run) {
+      return supabase
+        .from('job_runs')
+        .insert(run)
+        .select()
+        .single();
+    },
+
+    updateJobRun(id, values) {
+      return supabase
+        .from('job_runs')
+        .update(values)
+        .eq('id', id);
+    },
+
+    async getJobRun(id) {
+      const { data, error } = await supabase
+        .from('job_runs')
+        .select('*')
+        .eq('id', id)
+        .limit(1);
+      return { data: data?.[0] || null, error };
+    },
+
+    listJobRunUsage({ since } = {}) {
+      return supabase
+        .from('job_runs')
+        .select('id, started_at, usage')
+        .gte('started_at', since)
+        .not('usage', 'is', null);
+    },
+
+    async getLatestJobRun({ command } = {}) {
+      let query = supabase
+        .from('job_runs')
+        .select('*');
+      if (command) query = query.eq('command', command);
+      const { data, error } = await query
+        .order('started_at', { ascending: false })
+        .limit(1);
+      return { data: data?.[0] || null, error };
+    },
+  };
+}
+
+/**
+ * Storage backed by a local JSON file holding one array per table ({ sources, dom_snapshots, changes, ... }),
+ * for offline runs against a fixture dataset. Writes are saved to the file right away.
+ * @param {string} filePath - Path to the JSON file; created on first write if missing
+ * @returns {Object} Storage backend
+ */
+function createFileStorage(filePath) {
+  const db = fs.existsSync(filePath)
+    ? JSON.parse(fs.readFileSync(filePath, 'utf8'))
+    : {};
+  for (const table of ['sources', 'source_states', 'dom_snapshots', 'changes', 'change_reviews', 'change_events', 'subscribers', 'notification_deliveries', 'job_runs']) {
+    db[table] = db[table] || [];
+  }
+
+  const save = () => {
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    const tmpPath = `${filePath}.tmp`;
+    fs.writeFileSync(tmpPath, JSON.stringify(db, null, 2));
+    fs.renameSync(tmpPath, filePath); // never leave a half-written file behind
+  };
+
+  // Rows are copied on the way out, so callers cannot modify the stored data by accident
+  const ok = (data) => Promise.resolve({ data: data && JSON.parse(JSON.stringify(data)), error: null });
+  const notFound = (what) => Promise.resolve({ data: null, error: { message: `${what} not found` } });
+  const pick = (row, columns) => Object.fromEntries(columns.map((column) => [column, row[column]]));
+  const byCapturedAt = (a, b) => String(a.captured_at).localeCompare(String(b.captured_at));
+  const byTimestamp = (a, b) => String(a.timestamp).localeCompare(String(b.timestamp));
+
+  return {
+    getActiveSources({ sourceId } = {}) {
+      return ok(db.sources
+        .filter((source) => source.is_active && (!sourceId || source.id === sourceId))
+        .map((source) => pick(source, SOURCE_COLUMNS)));
+    },
+
+    getSourcesByIds(ids) {
+      return ok(db.sources
+        .filter((source) => ids.includes(source.id))
+        .map((source) => pick(source, SOURCE_COLUMNS)));
+    },
+
+    getActiveSourceByUrl(url) {
+      const source = db.sources.find((s) => s.url === url && s.is_active);
+      return source ? ok(pick(source, SOURCE_COLUMNS)) : notFound(`Active source for ${url}`);
+    },
+
+    listSourceStates(sourceIds) {
+      return ok(db.source_states.filter((state) => sourceIds.includes(state.source_id)));
+    },
+
+    upsertSourceState(state) {
+      const existing = db.source_states.find((s) => s.source_id === state.source_id);
+      if (existing) {
+        Object.assign(existing, state);
+      } else {
+        db.source_states.push({ ...state });
+      }
+      save();
+      return ok(null);
+    },
+
+    getLatestSnapshots(url, limit) {
+      return ok(db.dom_snapshots
+        .filter((snapshot) => snapshot.url === url)
+        .sort(byCapturedAt)
+        .reverse()
+        .slice(0, limit)
+        .map((snapshot) => pick(snapshot, ['id', 'content'])));
+    },
+
+    getLatestSnapshotId(url) {
+      const snapshot = db.dom_snapshots
+        .filter((s) => s.url === url)
+        .sort(byCapturedAt)
+        .pop();
+      return ok(snapshot ? pick(snapshot, ['id', 'captured_at']) : null);
+    },
+
+    listSnapshots(url, { since, until } = {}) {
+      return ok(db.dom_snapshots
+        .filter((snapshot) => snapshot.url === url &&
+          (!since || snapshot.captured_at >= since) &&
+          (!until || snapshot.captured_at <= until))
+        .sort(byCapturedAt)
+        .map((snapshot) => pick(snapshot, ['id', 'captured_at'])));
+    },
+
+    getSnapshot(id) {
+      const snapshot = db.dom_snapshots.find((s) => s.id === id);
+      return snapshot ? ok(pick(snapshot, ['id', 'content', 'url'])) : notFound(`Snapshot ${id}`);
+    },
+
+    getSnapshotsByIds(ids) {
+      return ok(db.dom_snapshots
+        .filter((snapshot) => ids.includes(snapshot.id))
+        .map((snapshot) => pick(snapshot, ['id', 'content', 'url'])));
+    },
+
+    getLatestChange(sourceId, { before } = {}) {
+      const change = db.changes
+        .filter((c) => c.source_id === sourceId && (!before || c.timestamp <= before))
+        .sort(byTimestamp)
+        .pop();
+      return ok(change ? pick(change, ['id', 'diff']) : null);
+    },
+
+    getChangeForPair(snapshotId1, snapshotId2) {
+      const change = db.changes.find((c) => c.snapshot_id1 === snapshotId1 && c.snapshot_id2 === snapshotId2);
+      return ok(change ? pick(change, ['id', 'diff']) : null);
+    },
+
+    listChanges({ changeId, unclassified, classified, classification, classifications, excludeDuplicates, reviewStatus, excludeReviewStatuses, eventsUnextracted, sourceId, sourceIds, since, until, order, limit } = {}) {
+      const changes = db.changes.filter((change) =>
+        (!changeId || change.id === changeId) &&
+        (!unclassified || change.classification == null) &&
+        (!classified || change.classification != null) &&
+        (!classification || change.classification === classification) &&
+        (!classifications || classifications.includes(change.classification)) &&
+        (!excludeDuplicates || change.duplicate_of == null) &&
+        (!reviewStatus || change.review_status === reviewStatus) &&
+        (!excludeReviewStatuses || !excludeReviewStatuses.includes(change.review_status)) &&
+        (!eventsUnextracted || change.events_extracted_at == null) &&
+        (!sourceId || change.source_id === sourceId) &&
+        (!sourceIds || sourceIds.includes(change.source_id)) &&
+        (!since || change.timestamp >= since) &&
+        (!until || change.timestamp <= until));
+      if (order) {
+        changes.sort(order === 'asc' ? byTimestamp : (x, y) => byTimestamp(y, x));
+      }
+      return ok(limit ? changes.slice(0, limit) : changes);
+    },
+
+    insertChange(change) {
+      const row = { id: crypto.randomUUID(), timestamp: new Date().toISOString(), classification: null, explanation: null, ...change };
+      db.changes.push(row);
+      save();
+      return ok(row);
+    },
+
+    updateChange(id, values) {
+      const change = db.changes.find((c) => c.id === id);
+      if (!change) {
+        return notFound(`Change ${id}`);
+      }
+      Object.assign(change, values);
+      save();
+      return ok(null);
+    },
+
+    insertChangeReview(review) {
+      const row = { id: crypto.randomUUID(), created_at: new Date().toISOString(), ...review };
+      db.change_reviews.push(row);
+      save();
+      return ok(row);
+    },
+
+    listChangeReviews({ sourceId, actions, limit } = {}) {
+      const reviews = db.change_reviews
+        .filter((review) => (!sourceId || review.source_id === sourceId) && (!actions || actions.includes(review.action)))
+        .sort((a, b) => String(b.created_at).localeCompare(String(a.created_at)));
+      return ok(limit ? reviews.slice(0, limit) : reviews);
+    },
+
+    insertChangeEvents(events) {
+      const rows = events.map((event) => ({ id: crypto.randomUUID(), created_at: new Date().toISOString(), ...event }));
+      db.change_events.push(...rows);
+      save();
+      return ok(rows);
+    },
+
+    deleteChangeEvents(changeId) {
+      db.change_events = db.change_events.filter((event) => event.change_id !== changeId);
+      save();
+      return ok(null);
+    },
+
+    listChangeEvents({ sourceId, changeId, types, since, until } = {}) {
+      return ok(db.change_events
+        .filter((event) =>
+          (!sourceId || event.source_id === sourceId) &&
+          (!changeId || event.change_id === changeId) &&
+          (!types || types.includes(event.type)) &&
+          (!since || event.date >= since) &&
+          (!until || event.date <= until))
+        .sort((a, b) => String(a.date).localeCompare(String(b.date))));
+    },
+
+    listSubscribers() {
+      return ok(db.subscribers.filter((subscriber) => subscriber.is_active));
+    },
+
+    listDeliveries(changeIds) {
+      return ok(db.notification_deliveries.filter((delivery) => changeIds.includes(delivery.change_id)));
+    },
+
+    upsertDelivery(delivery) {
+      const existing = db.notification_deliveries.find((d) =>
+        d.change_id === delivery.change_id && d.subscriber_id === delivery.subscriber_id);
+      if (existing) {
+        Object.assign(existing, delivery);
+      } else {
+        db.notification_deliveries.push({ id: crypto.randomUUID(), ...delivery });
+      }
+      save();
+      return ok(null);
+    },
+
+    insertJobRun(run) {
+      const row = { id: crypto.randomUUID(), ...run };
+      db.job_runs.push(row);
+      save();
+      return ok(row);
+    },
+
+    updateJobRun(id, values) {
+      const run = db.job_runs.find((r) => r.id === id);
+      if (!run) {
+        return notFound(`Job run ${id}`);
+      }
+      Object.assign(run, values);
+      save();
+      return ok(null);
+    },
+
+    getJobRun(id) {
+      return ok(db.job_runs.find((r) => r.id === id) || null);
+    },
+
+    listJobRunUsage({ since } = {}) {
+      return ok(db.job_runs
+        .filter((r) => r.usage && String(r.started_at) >= since)
+        .map(({ id, started_at, usage }) => ({ id, started_at, usage })));
+    },
+
+    getLatestJobRun({ command } = {}) {
+      const runs = db.job_runs
+        .filter((r) => !command || r.command === command)
+        .sort((a, b) => String(a.started_at).localeCompare(String(b.started_at)));
+      return ok(runs[runs.length - 1] || null);
+    },
+  };
+}
+
+module.exports = {
+  createStorage,
+  createSupabaseStorage,
+  createFileStorage,
+};
@@ -0,0 +1,155 @@
+/**
+ * Structured LLM output: responses are validated against the request's JSON schema and repaired when they are not valid
+ */
+const { logger } = require('./logger');
+
+// Requests sent before giving up, unless STRUCTURED_OUTPUT_MAX_ATTEMPTS says otherwise
+const DEFAULT_MAX_ATTEMPTS = 3;
+
+// Validation errors quoted back to the model in a repair prompt
+const MAX_REPORTED_ERRORS = 10;
+
+/**
+ * Thrown when no valid response was obtained: callers must not store anything in place of the answer.
+ */
+class StructuredOutputError extends Error {
+  constructor(schemaName, attempts, reason) {
+    super(`No valid ${schemaName} response after ${attempts} attempt(s): ${reason}`);
+    this.name = 'StructuredOutputError';
+    this.schemaName = schemaName;
+    this.attempts = attempts;
+    this.reason = reason;
+  }
+}
+
+/**
+ * Sends a chat completion request with a json_schema response_format and returns its parsed, valid content.
+ * Invalid JSON or content not matching the schema is sent back with the errors found, asking for a corrected answer.
+ * A response cut by the token limit is retried asking for a shorter answer, within half the length that was cut.
+ * @param {Object} openai - OpenAI client instance
+ * @param {Object} params - chat.completions.create params, with response_format.json_schema.{ name, schema }
+ * @param {Object} options - Optional settings
+ * @param {Function} options.validate - (data) => string[] of extra errors the schema cannot express
+ * @param {number} options.maxAttempts - Requests sent before giving up (default STRUCTURED_OUTPUT_MAX_ATTEMPTS or 3)
+ * @param {Object} options.logger - Logger from createLogger (default: shared logger)
+ * @returns {Object} { data, response }: the parsed content and the last response
+ * @throws {StructuredOutputError} If every attempt was invalid; errors of the client itself are thrown as is
+ */
+async function createStructured(openai, params, options = {}) {
+  const log = options.logger || logger;
+  const maxAttempts = options.maxAttempts || Number(process.env.STRUCTURED_OUTPUT_MAX_ATTEMPTS) || DEFAULT_MAX_ATTEMPTS;
+  const { name, schema } = params.response_format.json_schema;
+
+  let messages = params.messages;
+  let reason = null;
+  for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+    const response = await openai.chat.completions.create({ ...params, messages });
+    const choice = response.choices[0];
+    const content = choice.message.content || '';
+
+    if (choice.finish_reason === 'length') {
+      reason = `response cut by the token limit after ${content.length} characters`;
+      log.warn('Structured response truncated, retrying with a lower budget', { schema: name, attempt, chars: content.length });
+      messages = [
+        ...params.messages,
+        {
+          role: 'user',
+          content: `Your previous answer was cut off after ${content.length} characters. Answer again with the same JSON structure, `
+            + `but shorter: keep the whole answer under ${Math.floor(content.length / 2)} characters by making every text more concise.`,
+        },
+      ];
+      continue;
+    }
+
+    let data;
+    let errors;
+    try {
+      data = JSON.parse(content);
+      errors = validateSchema(data, schema);
+      if (!errors.length && options.validate) {
+        errors = options.validate(data);
+      }
+    } catch (parseError) {
+      errors = [`not valid JSON (${parseError.message})`];
+    }
+    if (!errors.length) {
+      if (attempt > 1) {
+        log.info('Structured response repaired', { schema: name, attempt });
+      }
+      return { data, response };
+    }
+
+    reason = errors.slice(0, MAX_REPORTED_ERRORS).join('; ');
+    log.warn('Structured response invalid, asking for a repair', { schema: name, attempt, errors: errors.slice(0, MAX_REPORTED_ERRORS) });
+    messages = [
+      ...params.messages,
+      { role: 'assistant', content },
+      {
+        role: 'user',
+        content: `Your previous answer is not valid: ${reason}. `
+          + `Reply with the corrected JSON object only, matching this JSON schema: ${JSON.stringify(schema)}`,
+      },
+    ];
+  }
+
+  throw new StructuredOutputError(name, maxAttempts, reason);
+}
+
+/**
+ * Checks a value against a JSON schema. Supports the subset used by the response formats of this repo:
+ * type (a name or a list of names), enum, properties, required, additionalProperties: false and items.
+ * @param {*} value - Value to check
+ * @param {Object} schema - JSON schema
+ * @param {string} path - Path of the value, for error messages
+ * @returns {string[]} Errors, empty if the value is valid
+ */
+function validateSchema(value, schema, path = '$') {
+  const types = [].concat(schema.type || []);
+  if (types.length && !types.some((type) => matchesType(value, type))) {
+    return [`${path} should be ${types.join(' or ')}`];
+  }
+  if (schema.enum && !schema.enum.includes(value)) {
+    return [`${path} should be one of ${schema.enum.join(', ')}`];
+  }
+
+  const errors = [];
+  if (value && typeof value === 'object' && !Array.isArray(value)) {
+    const properties = schema.properties || {};
+    for (const key of schema.required || []) {
+      if (!(key in value)) errors.push(`${path}.${key} is missing`);
+    }
+    for (const [key, field] of Object.entries(value)) {
+      if (properties[key]) {
+        errors.push(...validateSchema(field, properties[key], `${path}.${key}`));
+      } else if (schema.additionalProperties === false) {
+        errors.push(`${path}.${key} is not allowed`);
+      }
+    }
+  }
+  if (Array.isArray(value) && schema.items) {
+    value.forEach((item, index) => errors.push(...validateSchema(item, schema.items, `${path}[${index}]`)));
+  }
+  return errors;
+}
+
+/**
+ * Whether a value has a JSON schema type.
+ * @param {*} value - Value to check
+ * @param {string} type - JSON schema type name
+ * @returns {boolean} True if it matches
+ */
+function matchesType(value, type) {
+  switch (type) {
+    case 'null': return value === null;
+    case 'array': return Array.isArray(value);
+    case 'object': return !!value && typeof value === 'object' && !Array.isArray(value);
+    case 'integer': return Number.isInteger(value);
+    default: return typeof value === type; // string, number, boolean
+  }
+}
+
+module.exports = {
+  createStructured,
+  validateSchema,
+  StructuredOutputError,
+};
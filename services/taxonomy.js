@@ -0,0 +1,84 @@
+/**
+ * Classification taxonomies: versioned files under prompts/taxonomies/<name>.v<version>.json listing the categories
+ * the classifier may answer
+ */
+const fs = require('fs');
+const path = require('path');
+
+// Where taxonomies live, next to the prompt templates, unless PROMPTS_DIR says otherwise
+const DEFAULT_PROMPTS_DIR = path.join(__dirname, '..', 'prompts');
+
+// Taxonomy used by classification, unless TAXONOMY says otherwise; no version means the latest one
+const DEFAULT_TAXONOMY = 'default';
+
+// Category names are stored in changes.classification and used in subscriber rules
+const CATEGORY_NAME = /^[a-z][a-z0-9_]*$/;
+
+const cache = new Map();
+
+/**
+ * Loads a taxonomy.
+ * @param {string} ref - Taxonomy name, optionally pinned to a version: 'default' (latest) or 'default@1'
+ * (default TAXONOMY or 'default')
+ * @param {Object} options - Optional settings
+ * @param {string} options.dir - Prompts directory holding taxonomies/ (default PROMPTS_DIR or prompts/)
+ * @returns {Object} { name, version, ref, description, categories: [{ name, description }], labels }, ref being
+ * 'name@version' as stored with each classification and labels the category names
+ * @throws {Error} If the taxonomy does not exist or is invalid
+ */
+function loadTaxonomy(ref, options = {}) {
+  const dir = path.join(options.dir || process.env.PROMPTS_DIR || DEFAULT_PROMPTS_DIR, 'taxonomies');
+  const [name, pinned] = (ref || process.env.TAXONOMY || DEFAULT_TAXONOMY).split('@');
+  const versions = fs.readdirSync(dir)
+    .map((file) => file.match(/^(.+)\.v(\d+)\.json$/))
+    .filter((match) => match && match[1] === name)
+    .map((match) => Number(match[2]));
+  if (!versions.length) {
+    throw new Error(`No taxonomy named "${name}" in ${dir}`);
+  }
+  const version = pinned ? Number(pinned) : Math.max(...versions);
+  if (!versions.includes(version)) {
+    throw new Error(`No version ${pinned} of taxonomy "${name}", available: ${versions.sort((a, b) => a - b).join(', ')}`);
+  }
+
+  const file = path.join(dir, `${name}.v${version}.json`);
+  if (!cache.has(file)) {
+    const { description = '', categories } = JSON.parse(fs.readFileSync(file, 'utf8'));
+    validateCategories(categories, file);
+    cache.set(file, {
+      name,
+      version,
+      ref: `${name}@${version}`,
+      description,
+      categories,
+      labels: categories.map((category) => category.name),
+    });
+  }
+  return cache.get(file);
+}
+
+/**
+ * Checks the categories of a taxonomy file.
+ * @param {Array<Object>} categories - Categories, each with name and description
+ * @param {string} file - File path, for error messages
+ * @throws {Error} If the list is empty, or a category is unnamed, badly named or listed twice
+ */
+function validateCategories(categories, file) {
+  if (!Array.isArray(categories) || !categories.length) {
+    throw new Error(`Taxonomy ${file} has no categories`);
+  }
+  const seen = new Set();
+  for (const category of categories) {
+    if (!CATEGORY_NAME.test(category?.name || '')) {
+      throw new Error(`Taxonomy ${file} has an invalid category name "${category?.name}": use lowercase letters, digits and _`);
+    }
+    if (seen.has(category.name)) {
+      throw new Error(`Taxonomy ${file} lists "${category.name}" twice`);
+    }
+    seen.add(category.name);
+  }
+}
+
+module.exports = {
+  loadTaxonomy,
+};
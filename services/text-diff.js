@@ -0,0 +1,345 @@
+/**
+ * Local line-level diff engine, run before any snapshot pair is sent to the differ LLM
+ */
+
+// Dates as written on documentation pages: 2025-03-01, 03/01/2025, March 1, 2025, 1 March 2025
+const DATE = '(\\d{4}-\\d{2}-\\d{2}|\\d{1,2}[/.]\\d{1,2}[/.]\\d{2,4}|[a-z]{3,9}\\.?\\s+\\d{1,2},?\\s+\\d{4}|\\d{1,2}\\s+[a-z]{3,9}\\.?\\s+\\d{4})';
+
+// Lines matching one of these patterns change on every capture and are left out of the comparison
+const VOLATILE_LINE_PATTERNS = [
+  /^(page\s+)?last\s+(updated|modified|edited|reviewed)\b.{0,60}$/i,
+  new RegExp(`^(updated|modified|edited|published)(\\s+(on|at))?\\s*:?\\s*${DATE}\\.?$`, 'i'),
+  /^(updated|edited|published)\s+\d+\s+(seconds?|minutes?|hours?|days?)\s+ago\.?$/i,
+];
+
+// Timestamps embedded in a line are masked so that only the surrounding content is compared; keys are lowercased
+// before masking, hence the i flag on every pattern
+const VOLATILE_TOKEN_PATTERNS = [
+  /\b\d{4}-\d{2}-\d{2}[T ]\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})?\b/gi, // ISO datetimes (plain dates are kept: they may be a sunset date)
+  /\b\d{1,2}:\d{2}(:\d{2})?\s*(am|pm|utc|gmt)?\b/gi, // time of day
+  /\b\d+\s+(seconds?|minutes?|hours?)\s+ago\b/gi, // relative times
+];
+
+// Segments longer than this are split on sentence boundaries so a single-line capture still diffs finely
+const MAX_SEGMENT_LENGTH = 500;
+
+// Room kept for the "[Section ...]" header and separator of each hunk in an excerpt
+const SECTION_HEADER_SIZE = 48;
+
+// Beyond this many edits the diff is treated as one big changed block instead of being aligned line by line
+const MAX_EDITS = 2000;
+
+/**
+ * Splits a snapshot text into whitespace-collapsed, non-empty segments (lines or paragraphs).
+ * @param {string} text - Snapshot text
+ * @returns {string[]} Segments in document order
+ */
+function splitSegments(text) {
+  const segments = [];
+  for (const rawLine of (text || '').split(/\r?\n/)) {
+    const line = rawLine.replace(/\s+/g, ' ').trim();
+    if (!line) continue;
+    if (line.length <= MAX_SEGMENT_LENGTH) {
+      segments.push(line);
+      continue;
+    }
+    for (const sentence of line.split(/(?<=[.!?])\s+/)) {
+      if (sentence) segments.push(sentence);
+    }
+  }
+  return segments;
+}
+
+/**
+ * Builds the comparison key of a segment: Unicode-normalized, lowercased, with timestamps masked.
+ * @param {string} segment - Whitespace-collapsed segment
+ * @returns {string} Comparison key, or an empty string if the whole segment is volatile
+ */
+function normalizeSegment(segment) {
+  if (VOLATILE_LINE_PATTERNS.some((pattern) => pattern.test(segment))) {
+    return '';
+  }
+  let key = segment.normalize('NFKC').toLowerCase();
+  for (const pattern of VOLATILE_TOKEN_PATTERNS) {
+    key = key.replace(pattern, '#');
+  }
+  return key;
+}
+
+/**
+ * Myers O(ND) diff over two arrays of keys.
+ * @param {string[]} a - Old keys
+ * @param {string[]} b - New keys
+ * @param {number} maxEdits - Give up beyond this edit distance
+ * @returns {Array<string>|null} Edit script of 'equal' | 'delete' | 'insert', or null if maxEdits was exceeded
+ */
+function myersDiff(a, b, maxEdits) {
+  const n = a.length;
+  const m = b.length;
+  const limit = Math.min(n + m, maxEdits);
+  const offset = limit + 1;
+  const v = new Int32Array(2 * limit + 3);
+  const trace = [];
+
+  for (let d = 0; d <= limit; d++) {
+    // Keep the part of v this step reads from, so the path can be walked back afterwards
+    trace.push(v.slice(offset - d - 1, offset + d + 2));
+    for (let k = -d; k <= d; k += 2) {
+      let x;
+      if (k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1])) {
+        x = v[offset + k + 1];
+      } else {
+        x = v[offset + k - 1] + 1;
+      }
+      let y = x - k;
+      while (x < n && y < m && a[x] === b[y]) {
+        x++;
+        y++;
+      }
+      v[offset + k] = x;
+      if (x >= n && y >= m) {
+        return backtrack(trace, n, m);
+      }
+    }
+  }
+  return null;
+}
+
+/**
+ * Walks a Myers trace back from the end to produce the edit script.
+ * @param {Int32Array[]} trace - Saved v slices, one per edit distance
+ * @param {number} n - Old length
+ * @param {number} m - New length
+ * @returns {Array<string>} Edit script in forward order
+ */
+function backtrack(trace, n, m) {
+  const ops = [];
+  let x = n;
+  let y = m;
+  for (let d = trace.length - 1; d >= 0; d--) {
+    const v = trace[d];
+    const at = (k) => v[k + d + 1];
+    const k = x - y;
+    const prevK = (k === -d || (k !== d && at(k - 1) < at(k + 1))) ? k + 1 : k - 1;
+    const prevX = at(prevK);
+    const prevY = prevX - prevK;
+    while (x > prevX && y > prevY) {
+      ops.push('equal');
+      x--;
+      y--;
+    }
+    if (d > 0) {
+      ops.push(x === prevX ? 'insert' : 'delete');
+    }
+    x = prevX;
+    y = prevY;
+  }
+  return ops.reverse();
+}
+
+/**
+ * Groups an edit script into changed blocks, in old and new segment coordinates.
+ * @param {Array<string>} ops - Edit script
+ * @returns {Array<Object>} Blocks with oldStart, oldEnd, newStart, newEnd (end exclusive)
+ */
+function toBlocks(ops) {
+  const blocks = [];
+  let x = 0;
+  let y = 0;
+  let current = null;
+  for (const op of ops) {
+    if (op === 'equal') {
+      if (current) {
+        blocks.push(current);
+        current = null;
+      }
+      x++;
+      y++;
+      continue;
+    }
+    if (!current) {
+      current = { oldStart: x, oldEnd: x, newStart: y, newEnd: y };
+    }
+    if (op === 'delete') {
+      x++;
+      current.oldEnd = x;
+    } else {
+      y++;
+      current.newEnd = y;
+    }
+  }
+  if (current) blocks.push(current);
+  return blocks;
+}
+
+/**
+ * Compares two snapshot texts locally and extracts the changed hunks with surrounding context.
+ * @param {string} oldText - Older snapshot text
+ * @param {string} newText - Newer snapshot text
+ * @param {number} context - Number of unchanged segments kept around each change (default 3)
+ * @returns {Object} { identical, hunks, added, removed, oldExcerpt, newExcerpt }
+ */
+function computeTextDiff(oldText, newText, context = 3) {
+  // Volatile segments are dropped before aligning, so they can never show up as a change
+  const keep = (segments) => segments
+    .map((text) => ({ text, key: normalizeSegment(text) }))
+    .filter((segment) => segment.key);
+  const oldSegments = keep(splitSegments(oldText));
+  const newSegments = keep(splitSegments(newText));
+  const oldKeys = oldSegments.map((s) => s.key);
+  const newKeys = newSegments.map((s) => s.key);
+
+  // Trim the common prefix and suffix first: most captures only change in a few places
+  let prefix = 0;
+  while (prefix < oldKeys.length && prefix < newKeys.length && oldKeys[prefix] === newKeys[prefix]) {
+    prefix++;
+  }
+  let suffix = 0;
+  while (
+    suffix < oldKeys.length - prefix &&
+    suffix < newKeys.length - prefix &&
+    oldKeys[oldKeys.length - 1 - suffix] === newKeys[newKeys.length - 1 - suffix]
+  ) {
+    suffix++;
+  }
+
+  const oldMiddle = oldKeys.slice(prefix, oldKeys.length - suffix);
+  const newMiddle = newKeys.slice(prefix, newKeys.length - suffix);
+  if (!oldMiddle.length && !newMiddle.length) {
+    return { identical: true, hunks: [], added: 0, removed: 0, oldExcerpt: '', newExcerpt: '' };
+  }
+
+  const ops = myersDiff(oldMiddle, newMiddle, MAX_EDITS) ||
+    [...oldMiddle.map(() => 'delete'), ...newMiddle.map(() => 'insert')];
+  const blocks = toBlocks(ops).map((block) => ({
+    oldStart: block.oldStart + prefix,
+    oldEnd: block.oldEnd + prefix,
+    newStart: block.newStart + prefix,
+    newEnd: block.newEnd + prefix,
+  }));
+
+  // Merge blocks whose context would overlap, then widen each hunk by the context size
+  const merged = [];
+  for (const block of blocks) {
+    const last = merged[merged.length - 1];
+    if (last && block.oldStart - last.oldEnd <= 2 * context) {
+      last.oldEnd = block.oldEnd;
+      last.newEnd = block.newEnd;
+    } else {
+      merged.push({ ...block });
+    }
+  }
+
+  let added = 0;
+  let removed = 0;
+  const hunks = merged.map((block, index) => {
+    const before = Math.min(context, block.oldStart, block.newStart);
+    const after = Math.min(context, oldSegments.length - block.oldEnd, newSegments.length - block.newEnd);
+    const oldStart = block.oldStart - before;
+    const newStart = block.newStart - before;
+    removed += block.oldEnd - block.oldStart;
+    added += block.newEnd - block.newStart;
+    return {
+      section: String(index + 1),
+      oldStart,
+      oldLines: oldSegments.slice(oldStart, block.oldEnd + after).map((s) => s.text),
+      newStart,
+      newLines: newSegments.slice(newStart, block.newEnd + after).map((s) => s.text),
+    };
+  });
+
+  return {
+    identical: false,
+    hunks,
+    added,
+    removed,
+    oldExcerpt: formatExcerpt(hunks, 'old'),
+    newExcerpt: formatExcerpt(hunks, 'new'),
+  };
+}
+
+/**
+ * Approximate size of one side of a hunk once rendered in an excerpt.
+ * @param {string[]} lines - Hunk lines
+ * @returns {number} Size in chars
+ */
+function excerptSize(lines) {
+  return lines.reduce((sum, line) => sum + line.length + 1, 0) + SECTION_HEADER_SIZE;
+}
+
+/**
+ * Splits a hunk too large for one chunk into aligned pieces, cutting both sides at the same proportions.
+ * @param {Object} hunk - Hunk from computeTextDiff
+ * @param {number} maxChars - Max excerpt size per side
+ * @returns {Array<Object>} Pieces with sections numbered "<section>.<piece>"
+ */
+function splitHunk(hunk, maxChars) {
+  const parts = Math.ceil(Math.max(excerptSize(hunk.oldLines), excerptSize(hunk.newLines)) / maxChars);
+  if (parts <= 1) {
+    return [hunk];
+  }
+  const cut = (length, i) => Math.round((length * i) / parts);
+  const pieces = [];
+  for (let i = 0; i < parts; i++) {
+    const oldFrom = cut(hunk.oldLines.length, i);
+    const newFrom = cut(hunk.newLines.length, i);
+    pieces.push({
+      section: `${hunk.section}.${i + 1}`,
+      oldStart: hunk.oldStart + oldFrom,
+      oldLines: hunk.oldLines.slice(oldFrom, cut(hunk.oldLines.length, i + 1)),
+      newStart: hunk.newStart + newFrom,
+      newLines: hunk.newLines.slice(newFrom, cut(hunk.newLines.length, i + 1)),
+    });
+  }
+  return pieces;
+}
+
+/**
+ * Packs hunks into chunks whose old and new excerpts each fit in maxChars, so nothing has to be truncated.
+ * @param {Array<Object>} hunks - Hunks from computeTextDiff
+ * @param {number} maxChars - Max excerpt size per side
+ * @returns {Array<Array<Object>>} Chunks of hunks, in document order
+ */
+function chunkHunks(hunks, maxChars) {
+  const chunks = [];
+  let current = [];
+  let oldSize = 0;
+  let newSize = 0;
+  for (const piece of hunks.flatMap((hunk) => splitHunk(hunk, maxChars))) {
+    const pieceOld = excerptSize(piece.oldLines);
+    const pieceNew = excerptSize(piece.newLines);
+    if (current.length && (oldSize + pieceOld > maxChars || newSize + pieceNew > maxChars)) {
+      chunks.push(current);
+      current = [];
+      oldSize = 0;
+      newSize = 0;
+    }
+    current.push(piece);
+    oldSize += pieceOld;
+    newSize += pieceNew;
+  }
+  if (current.length) chunks.push(current);
+  return chunks;
+}
+
+/**
+ * Renders one side of the hunks as a text excerpt for the differ prompt.
+ * @param {Array<Object>} hunks - Hunks from computeTextDiff
+ * @param {string} side - 'old' or 'new'
+ * @returns {string} Excerpt with one labelled section per hunk
+ */
+function formatExcerpt(hunks, side) {
+  return hunks.map((hunk) => {
+    const lines = side === 'old' ? hunk.oldLines : hunk.newLines;
+    // No line numbers: hunks count the segments left once blank and volatile lines are dropped, not page lines
+    return `[Section ${hunk.section}]\n${lines.length ? lines.join('\n') : '(empty)'}`;
+  }).join('\n[...]\n');
+}
+
+module.exports = {
+  computeTextDiff,
+  chunkHunks,
+  formatExcerpt,
+  splitSegments,
+  normalizeSegment,
+};
@@ -0,0 +1,110 @@
+/**
+ * Bounded worker pool to process sources and changes concurrently
+ */
+const { logger } = require('./logger');
+const { WRITE_METHOD } = require('./dry-run');
+
+// Items processed at once unless JOB_CONCURRENCY says otherwise
+const DEFAULT_CONCURRENCY = 4;
+
+/**
+ * Reads the pool settings from the environment.
+ * @param {Object} env - Environment variables (default process.env)
+ * @returns {Object} { concurrency, timeoutMs }
+ */
+function getPoolOptions(env = process.env) {
+  return {
+    concurrency: Number(env.JOB_CONCURRENCY) || DEFAULT_CONCURRENCY,
+    timeoutMs: Number(env.JOB_ITEM_TIMEOUT_MS) || 0,
+  };
+}
+
+/**
+ * Runs a worker over every item, with at most `concurrency` items in flight.
+ * A failing or timed-out item never stops the others: its error is returned in its result instead.
+ * A timed-out item is not stopped either, only signalled: its worker should stop writing (see guardWrites).
+ * LLM calls made by the workers still go through the rate limiter, which queues them per model,
+ * so the pool only decides how many items are in progress, not how fast the APIs are called.
+ * @param {Array} items - Items to process
+ * @param {Function} worker - async (item, index, signal) => value, signal being an AbortSignal aborted on timeout
+ * @param {Object} options - Optional settings
+ * @param {number} options.concurrency - Max items in flight (default 4)
+ * @param {number} options.timeoutMs - Give up waiting on an item after this long, 0 for no limit (default 0)
+ * @returns {Promise<Array<Object>>} One { item, ok, value, error, durationMs } per item, in input order
+ */
+async function runPool(items, worker, options = {}) {
+  const concurrency = Math.max(1, options.concurrency || DEFAULT_CONCURRENCY);
+  const timeoutMs = options.timeoutMs || 0;
+  const results = new Array(items.length);
+  let next = 0;
+
+  const runOne = async (index) => {
+    const item = items[index];
+    const startedAt = Date.now();
+    const controller = new AbortController();
+    let timer;
+    try {
+      const work = worker(item, index, controller.signal);
+      const value = timeoutMs
+        ? await Promise.race([
+          work,
+          new Promise((resolve, reject) => {
+            timer = setTimeout(() => {
+              controller.abort();
+              reject(new Error(`Timed out after ${timeoutMs}ms`));
+            }, timeoutMs);
+          }),
+        ])
+        : await work;
+      results[index] = { item, ok: true, value, durationMs: Date.now() - startedAt };
+    } catch (error) {
+      results[index] = { item, ok: false, error, durationMs: Date.now() - startedAt };
+    } finally {
+      clearTimeout(timer);
+    }
+  };
+
+  const lane = async () => {
+    while (next < items.length) {
+      await runOne(next++);
+    }
+  };
+
+  await Promise.all(Array.from({ length: Math.min(concurrency, items.length) }, lane));
+  return results;
+}
+
+/**
+ * Wraps a storage backend for one pool item: once the item timed out, its writes are skipped and resolve with an
+ * error, so work still running in the background does not store results the run already reported as failed.
+ * @param {Object} storage - Storage backend (see services/storage.js)
+ * @param {AbortSignal} signal - Signal passed by runPool to the worker
+ * @param {Object} log - Logger (default: shared logger)
+ * @returns {Object} Storage backend
+ */
+function guardWrites(storage, signal, log = logger) {
+  if (!signal) {
+    return storage;
+  }
+  const guarded = {};
+  for (const [name, method] of Object.entries(storage)) {
+    if (typeof method !== 'function' || !WRITE_METHOD.test(name)) {
+      guarded[name] = method;
+      continue;
+    }
+    guarded[name] = async (...args) => {
+      if (signal.aborted) {
+        log.warn('Item timed out, write skipped', { method: name });
+        return { data: null, error: { message: `Timed out, ${name} skipped` } };
+      }
+      return method(...args);
+    };
+  }
+  return guarded;
+}
+
+module.exports = {
+  runPool,
+  getPoolOptions,
+  guardWrites,
+};
@@ -0,0 +1,117 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createApiServer } = require('../services/api');
+const { createLogger } = require('../services/logger');
+const { silent, createTestStorage } = require('./helpers');
+
+const TOKEN = 'test-token';
+
+/**
+ * Starts an API server on a free port.
+ * @param {Object} storage - Storage backend
+ * @param {Object} log - Logger (default: silent)
+ * @returns {Promise<Object>} { request(method, path), close() }
+ */
+async function startServer(storage, log = silent) {
+  const server = createApiServer({ storage, env: { API_TOKEN: TOKEN }, logger: log });
+  await new Promise((resolve) => server.listen(0, resolve));
+  const { port } = server.address();
+  return {
+    request: async (method, urlPath) => {
+      const response = await fetch(`http://localhost:${port}${urlPath}`, { method, headers: { Authorization: `Bearer ${TOKEN}` } });
+      return { status: response.status, body: await response.json() };
+    },
+    close: () => new Promise((resolve) => server.close(resolve)),
+  };
+}
+
+test('GET /changes returns the newest changes first, up to the limit', async () => {
+  const storage = createTestStorage({
+    changes: [
+      { id: 'a', source_id: 's1', timestamp: '2025-03-01T00:00:00.000Z', duplicate_of: null },
+      { id: 'c', source_id: 's1', timestamp: '2025-03-03T00:00:00.000Z', duplicate_of: null },
+      { id: 'b', source_id: 's1', timestamp: '2025-03-02T00:00:00.000Z', duplicate_of: null },
+    ],
+  });
+  const api = await startServer(storage);
+  try {
+    const { status, body } = await api.request('GET', '/changes?limit=2');
+    assert.strictEqual(status, 200);
+    assert.deepStrictEqual(body.data.map((change) => change.id), ['c', 'b']);
+  } finally {
+    await api.close();
+  }
+});
+
+test('a trigger arriving while another one starts is refused, and a failed start frees the slot', async () => {
+  const storage = createTestStorage();
+  // The first trigger is held in its source lookup until the second one has been answered
+  let entered;
+  const lookupStarted = new Promise((resolve) => { entered = resolve; });
+  let release;
+  const lookupReleased = new Promise((resolve) => { release = resolve; });
+  const held = {
+    ...storage,
+    getActiveSources: async () => {
+      entered();
+      await lookupReleased;
+      return { data: [], error: null };
+    },
+  };
+  const api = await startServer(held);
+  try {
+    const first = api.request('POST', '/sources/s1/diff');
+    await lookupStarted;
+    const second = await api.request('POST', '/sources/s1/classify');
+    assert.strictEqual(second.status, 409);
+    release();
+    assert.strictEqual((await first).status, 404);
+
+    const third = await api.request('POST', '/sources/s1/diff');
+    assert.strictEqual(third.status, 404);
+  } finally {
+    await api.close();
+  }
+});
+
+test('unexpected errors answer a generic message, their cause is only logged', async () => {
+  const logged = [];
+  const storage = createTestStorage();
+  const failing = { ...storage, listChanges: async () => ({ data: null, error: { message: 'password authentication failed for user postgres' } }) };
+  const api = await startServer(failing, createLogger({ write: (level, line) => logged.push(line) }));
+  try {
+    const { status, body } = await api.request('GET', '/changes');
+    assert.strictEqual(status, 500);
+    assert.strictEqual(body.error.message, 'Internal server error');
+    assert.ok(logged.some((line) => line.includes('password authentication failed')));
+  } finally {
+    await api.close();
+  }
+});
+
+test('the API refuses to start without API_TOKEN unless API_PUBLIC=true', () => {
+  assert.throws(() => createApiServer({ storage: createTestStorage(), env: {}, logger: silent }), /API_PUBLIC=true/);
+  assert.doesNotThrow(() => createApiServer({ storage: createTestStorage(), env: { API_PUBLIC: 'true' }, logger: silent }));
+});
+
+test('GET /calendar of an unknown source answers 404', async () => {
+  const api = await startServer(createTestStorage());
+  try {
+    const { status, body } = await api.request('GET', '/calendar/nope.ics');
+    assert.strictEqual(status, 404);
+    assert.strictEqual(body.error.message, 'No active source nope');
+  } finally {
+    await api.close();
+  }
+});
+
+test('GET /feeds of an unknown or inactive source answers 404', async () => {
+  const api = await startServer(createTestStorage({ sources: [{ id: 'old', url: 'https://example.com/old', is_active: false }] }));
+  try {
+    const { status, body } = await api.request('GET', '/feeds/old.rss');
+    assert.strictEqual(status, 404);
+    assert.strictEqual(body.error.message, 'No active source old');
+  } finally {
+    await api.close();
+  }
+});
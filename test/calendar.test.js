@@ -0,0 +1,31 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { buildCalendar } = require('../services/calendar');
+const { silent, createTestStorage } = require('./helpers');
+
+const SOURCES = [{ id: 's1', url: 'https://example.com/api', is_active: true }];
+
+const EVENT = { change_id: 'c1', source_id: 's1', type: 'sunset', date: '2025-06-30', title: 'X-Api-Key removed', description: 'Use Bearer tokens.', affected_api: 'X-Api-Key header' };
+
+test('an event keeps its UID when the deadlines of its change are extracted again', async () => {
+  const storage = createTestStorage({ sources: SOURCES });
+  await storage.insertChangeEvents([EVENT]);
+  const before = (await buildCalendar(storage, { reminderDays: [], logger: silent })).body.match(/UID:.*/)[0];
+
+  await storage.deleteChangeEvents('c1');
+  await storage.insertChangeEvents([{ ...EVENT, description: 'Send the key as a Bearer token.' }]);
+  const after = (await buildCalendar(storage, { reminderDays: [], logger: silent })).body.match(/UID:.*/)[0];
+
+  assert.strictEqual(after, before);
+});
+
+test('events differing by date or API get their own UID', async () => {
+  const storage = createTestStorage({ sources: SOURCES });
+  await storage.insertChangeEvents([EVENT, { ...EVENT, date: '2025-07-31' }, { ...EVENT, affected_api: 'GET /v1/keys' }]);
+  const uids = (await buildCalendar(storage, { reminderDays: [], logger: silent })).body.match(/UID:.*/g);
+  assert.strictEqual(new Set(uids).size, 3);
+});
+
+test('an unknown source is not found rather than an error', async () => {
+  assert.deepStrictEqual(await buildCalendar(createTestStorage({ sources: SOURCES }), { sourceId: 'nope', logger: silent }), { notFound: true });
+});
@@ -0,0 +1,42 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { getLLMDeadlines, isCalendarDate } = require('../services/deadlines');
+const { createScriptedClient } = require('../services/replay-client');
+const { silent } = require('./helpers');
+
+const CHANGE = {
+  timestamp: '2025-01-15T00:00:00.000Z',
+  diff: {
+    summary: 'The v1 webhooks endpoint is removed at the end of February 2025.',
+    items: [{ title: 'Webhooks v1 sunset', description: 'POST /v1/webhooks stops working on February 28, 2025.', affected_api: 'POST /v1/webhooks', effective_date: null }],
+  },
+};
+
+const SOURCE = { id: 's1', url: 'https://example.com/changelog' };
+
+/**
+ * Event as the extractor returns it.
+ * @param {string} date - Date of the event
+ * @returns {Object} Event
+ */
+function sunset(date) {
+  return { type: 'sunset', date, title: 'Webhooks v1 removed', description: 'POST /v1/webhooks stops working.', affected_api: 'POST /v1/webhooks' };
+}
+
+test('only dates that exist are calendar dates', () => {
+  assert.strictEqual(isCalendarDate('2025-02-28'), true);
+  assert.strictEqual(isCalendarDate('2024-02-29'), true);
+  assert.strictEqual(isCalendarDate('2025-02-30'), false);
+  assert.strictEqual(isCalendarDate('2025-02-29'), false);
+  assert.strictEqual(isCalendarDate('2025-13-01'), false);
+  assert.strictEqual(isCalendarDate('2025-2-28'), false);
+});
+
+test('a date that rolls over to another day is sent back for a repair', async () => {
+  const client = createScriptedClient([{ json: { events: [sunset('2025-02-30')] } }, { json: { events: [sunset('2025-02-28')] } }]);
+  const { events } = await getLLMDeadlines(client, { model: 'test-model' }, CHANGE, SOURCE, silent);
+
+  assert.deepStrictEqual(events.map((event) => event.date), ['2025-02-28']);
+  const repair = client.calls[1].messages;
+  assert.match(repair[repair.length - 1].content, /\$\.events\[0\]\.date should be a YYYY-MM-DD date/);
+});
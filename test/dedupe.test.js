@@ -0,0 +1,31 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { diffSimilarity } = require('../services/dedupe');
+
+/**
+ * Diff announcing one release.
+ * @param {string} version - Version released
+ * @returns {Object} Diff with summary and items
+ */
+function release(version) {
+  return {
+    summary: `v${version} released`,
+    items: [{ title: `v${version} released`, description: 'Bug fixes and performance improvements.', affected_api: null, effective_date: null }],
+  };
+}
+
+test('two consecutive releases are not duplicates', () => {
+  assert.strictEqual(diffSimilarity(release('2.4.1'), release('2.4.0')), 0);
+  assert.strictEqual(diffSimilarity({ summary: 'v2.4.1 released', items: [] }, { summary: 'v2.4.0 released', items: [] }), 0);
+});
+
+test('changes with different effective dates are not duplicates', () => {
+  const sunset = (date) => ({ summary: 'Webhooks v1 sunset', items: [{ title: 'Webhooks v1 sunset', description: 'Use /v2/webhooks.', effective_date: date }] });
+  assert.strictEqual(diffSimilarity(sunset('2025-10-31'), sunset('2025-09-30')), 0);
+});
+
+test('the same release reported again is a duplicate', () => {
+  const again = release('2.4.0');
+  again.items[0].description = 'Performance improvements and bug fixes.';
+  assert.ok(diffSimilarity(again, release('2.4.0')) > 0.99);
+});
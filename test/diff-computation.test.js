@@ -0,0 +1,105 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { computeDiffs, getLLMChangeSummary } = require('../services/diff-computation');
+const { createRateLimitedClient, createRateLimiter } = require('../services/rate-limiter');
+const { createScriptedClient } = require('../services/replay-client');
+const { silent, createTestStorage } = require('./helpers');
+
+const SUMMARY = {
+  summary: 'The v1 webhooks endpoint will be removed.',
+  items: [{
+    title: 'Webhooks v1 sunset',
+    description: 'POST /v1/webhooks stops working; use /v2/webhooks.',
+    affected_api: 'POST /v1/webhooks',
+    effective_date: '2025-09-30',
+    severity_hint: 'high',
+  }],
+};
+
+/**
+ * Calls getLLMChangeSummary on a fixed pair of texts.
+ * @param {Object} client - Client exposing chat.completions.create
+ * @returns {Object|null} The summary, or null
+ */
+function summarize(client) {
+  return getLLMChangeSummary(client, 'test-model', 'Webhooks v1 are supported.', 'Webhooks v1 are removed on 2025-09-30.', 'https://example.com/changelog', '', null, silent);
+}
+
+/**
+ * Wraps a scripted client in a rate limiter that retries without waiting.
+ * @param {Object} scripted - Client from createScriptedClient
+ * @returns {Object} Rate-limited client
+ */
+function limited(scripted) {
+  const limiter = createRateLimiter({ 'test-model': { rpm: 60000, burst: 10 } }, { baseDelayMs: 1, logger: silent });
+  return createRateLimitedClient(scripted, limiter);
+}
+
+test('a truncated summary is asked again, shorter, and the complete one is returned', async () => {
+  const client = createScriptedClient([{ truncated: SUMMARY }, { json: SUMMARY }]);
+  assert.deepStrictEqual(await summarize(client), SUMMARY);
+  assert.strictEqual(client.calls.length, 2);
+  assert.match(client.calls[1].messages[client.calls[1].messages.length - 1].content, /cut off/);
+});
+
+test('invalid JSON is repaired', async () => {
+  const client = createScriptedClient([{ content: 'The v1 webhooks endpoint will be removed.' }, { json: SUMMARY }]);
+  assert.deepStrictEqual(await summarize(client), SUMMARY);
+  assert.strictEqual(client.calls.length, 2);
+});
+
+test('an empty summary counts as invalid', async () => {
+  const client = createScriptedClient([{ json: { ...SUMMARY, summary: ' ' } }, { json: SUMMARY }]);
+  assert.deepStrictEqual(await summarize(client), SUMMARY);
+  assert.match(client.calls[1].messages[client.calls[1].messages.length - 1].content, /\$\.summary is empty/);
+});
+
+test('null is returned, not a partial summary, when every answer is truncated', async () => {
+  const client = createScriptedClient(() => ({ truncated: SUMMARY }));
+  assert.strictEqual(await summarize(client), null);
+  assert.strictEqual(client.calls.length, 3);
+});
+
+test('429 and 5xx answers are retried before the summary comes back', async () => {
+  const scripted = createScriptedClient([
+    { error: { status: 429, message: 'Too many requests' } },
+    { error: { status: 502, message: 'Bad gateway' } },
+    { json: SUMMARY },
+  ]);
+  assert.deepStrictEqual(await summarize(limited(scripted)), SUMMARY);
+  assert.strictEqual(scripted.calls.length, 3);
+});
+
+test('null is returned once the retries are spent', async () => {
+  const scripted = createScriptedClient(() => ({ error: { status: 503, message: 'Overloaded' } }));
+  assert.strictEqual(await summarize(limited(scripted)), null);
+  // The first attempt and the limiter's three retries
+  assert.strictEqual(scripted.calls.length, 4);
+});
+
+test('snapshots captured between two runs are all diffed, pair by pair', async () => {
+  const url = 'https://example.com/changelog';
+  const versions = ['2.0', '2.1', '2.2', '2.3'];
+  const storage = createTestStorage({
+    sources: [{ id: 's1', url, is_active: true }],
+    source_states: [{ source_id: 's1', last_snapshot_id: 1, consecutive_failures: 0 }],
+    dom_snapshots: versions.map((version, index) => ({
+      id: index + 1,
+      url,
+      content: `Latest release: ${version}`,
+      captured_at: `2025-03-0${index + 1}T00:00:00.000Z`,
+    })),
+  });
+  const client = createScriptedClient((params, index) => ({
+    json: { summary: `Release ${versions[index + 1]}`, items: [{ ...SUMMARY.items[0], title: `Release ${versions[index + 1]}` }] },
+  }));
+
+  const [outcome] = await computeDiffs(storage, client, { model: 'test-model', context: 8000 }, { logger: silent });
+
+  assert.strictEqual(outcome.status, 'stored');
+  assert.deepStrictEqual(outcome.pairs.map((pair) => [pair.snapshot_id1, pair.snapshot_id2]), [[1, 2], [2, 3], [3, 4]]);
+  const { data: changes } = await storage.listChanges({ sourceId: 's1', order: 'asc' });
+  assert.deepStrictEqual(changes.map((change) => change.diff.summary), ['Release 2.1', 'Release 2.2', 'Release 2.3']);
+  const { data: [state] } = await storage.listSourceStates(['s1']);
+  assert.strictEqual(state.last_snapshot_id, 4);
+});
@@ -0,0 +1,14 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createEvaluationModels, runEvaluation, formatReport } = require('../services/evaluation');
+const { silent } = require('./helpers');
+
+test('a replay of the committed reference answers is reported as a pipeline check', async () => {
+  const { differ, classifier } = createEvaluationModels({ providers: ['scaleway'], logger: silent });
+  const report = await runEvaluation(differ, classifier, { mode: 'replay', logger: silent });
+
+  assert.strictEqual(report.totals.errors, 0);
+  assert.ok(report.replayed.responses > 0);
+  assert.strictEqual(report.replayed.references, report.replayed.responses);
+  assert.match(formatReport(report), /hand-written reference answers:\nthese scores check the fixtures and the pipeline, not the quality of a model/);
+});
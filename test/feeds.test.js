@@ -0,0 +1,63 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { buildFeed } = require('../services/feeds');
+const { silent, createTestStorage } = require('./helpers');
+
+/**
+ * Change row as stored by the job.
+ * @param {string} id - Change id
+ * @param {string} sourceId - Source id
+ * @param {string} classification - Classification
+ * @param {number} day - Day of March 2025 it was recorded on
+ * @returns {Object} Change row
+ */
+function change(id, sourceId, classification, day) {
+  return {
+    id,
+    source_id: sourceId,
+    classification,
+    explanation: 'Because',
+    duplicate_of: null,
+    review_status: null,
+    timestamp: `2025-03-${String(day).padStart(2, '0')}T00:00:00.000Z`,
+    diff: { summary: `Change ${id}.`, items: [] },
+  };
+}
+
+// Two active sources and an inactive one
+const TABLES = {
+  sources: [
+    { id: 's1', url: 'https://example.com/changelog', is_active: true },
+    { id: 's2', url: 'https://example.com/status', is_active: true },
+    { id: 'old', url: 'https://example.com/retired', is_active: false },
+  ],
+  changes: [
+    change('a', 's1', 'breaking', 1),
+    change('b', 's2', 'minor_fix', 2),
+    change('c', 's1', 'security', 3),
+    change('d', 'old', 'breaking', 4),
+    change('e', 's2', 'breaking', 5),
+  ],
+};
+
+test('lists the newest changes of active sources, up to the limit', async () => {
+  const feed = await buildFeed(createTestStorage(TABLES), 'json', { limit: 2, logger: silent });
+  assert.deepStrictEqual(JSON.parse(feed.body).items.map((item) => item.id), ['urn:uuid:e', 'urn:uuid:c']);
+});
+
+test('filters by classification before the limit', async () => {
+  const feed = await buildFeed(createTestStorage(TABLES), 'json', { classifications: ['breaking'], limit: 2, logger: silent });
+  assert.deepStrictEqual(JSON.parse(feed.body).items.map((item) => item.id), ['urn:uuid:e', 'urn:uuid:a']);
+});
+
+test('the RSS feed of every source has no empty link without a public URL', async () => {
+  const all = await buildFeed(createTestStorage(TABLES), 'rss', { logger: silent });
+  assert.doesNotMatch(all.body, /<link><\/link>/);
+
+  const one = await buildFeed(createTestStorage(TABLES), 'rss', { sourceId: 's1', logger: silent });
+  assert.match(one.body, /<link>https:\/\/example.com\/changelog<\/link>\n<description>/);
+});
+
+test('the feed of an inactive source is not found', async () => {
+  assert.deepStrictEqual(await buildFeed(createTestStorage(TABLES), 'json', { sourceId: 'old', logger: silent }), { notFound: true });
+});
@@ -0,0 +1,24 @@
+/**
+ * Shared setup of the tests: a logger writing nothing and a file storage in a temporary directory
+ */
+const os = require('os');
+const fs = require('fs');
+const path = require('path');
+const { createFileStorage } = require('../services/storage');
+const { createLogger } = require('../services/logger');
+
+// Logger for the services under test, so test output only shows test results
+const silent = createLogger({ write: () => {} });
+
+/**
+ * File storage holding the given rows, in a temporary directory of its own.
+ * @param {Object} tables - Rows per table, e.g. { sources: [...], changes: [...] } (default: empty tables)
+ * @returns {Object} Storage backend
+ */
+function createTestStorage(tables = {}) {
+  const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'daily-changes-')), 'db.json');
+  fs.writeFileSync(file, JSON.stringify(tables));
+  return createFileStorage(file);
+}
+
+module.exports = { silent, createTestStorage };
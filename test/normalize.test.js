@@ -0,0 +1,23 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { normalizeSnapshot } = require('../services/normalize');
+const { silent } = require('./helpers');
+
+/**
+ * Normalizes a daily-snapshot capture made of HTML only.
+ * @param {string} html - Captured HTML
+ * @returns {string} Text to diff
+ */
+function textOf(html) {
+  return normalizeSnapshot(JSON.stringify({ content: html }), {}, silent).text;
+}
+
+test('decodes named and numeric entities', () => {
+  assert.strictEqual(textOf('<p>R&amp;D &#8212; caf&#xE9; &lt;v2&gt;</p>'), 'R&D — café <v2>');
+});
+
+test('keeps numeric entities for NUL, beyond Unicode or for lone surrogates as written', () => {
+  assert.strictEqual(textOf('<p>Broken &#x110000; and &#1114112; here</p>'), 'Broken &#x110000; and &#1114112; here');
+  assert.strictEqual(textOf('<p>Half &#xD83D; a pair</p>'), 'Half &#xD83D; a pair');
+  assert.strictEqual(textOf('<p>Null &#0; &#x0; &#000;</p>'), 'Null &#0; &#x0; &#000;');
+});
@@ -0,0 +1,34 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { dispatchNotifications, renderSlackMessage } = require('../services/notifications');
+const { silent, createTestStorage } = require('./helpers');
+
+test('webhook subscribers without a secret are not notified', async () => {
+  const storage = createTestStorage({
+    sources: [{ id: 's1', url: 'https://example.com/api', is_active: true }],
+    changes: [{ id: 'c1', source_id: 's1', classification: 'breaking', diff: { summary: 'v1 removed', items: [] }, timestamp: new Date().toISOString() }],
+    subscribers: [
+      { id: 'unsigned', channel: 'webhook', target: 'https://hooks.example.com/a', is_active: true },
+      { id: 'signed', channel: 'webhook', target: 'https://hooks.example.com/b', secret: 'shh', is_active: true },
+    ],
+  });
+  const outcomes = await dispatchNotifications(storage, { dryRun: true, logger: silent });
+  assert.deepStrictEqual(outcomes.map((outcome) => outcome.subscriber_id), ['signed']);
+});
+
+test('Slack messages escape the markup characters of scraped text', () => {
+  const { text } = renderSlackMessage({
+    classification: 'breaking',
+    url: 'https://example.com/api?a=1&b=2',
+    summary: 'Ping <!channel> & <https://evil.example|docs>',
+    explanation: 'Removes a <script>',
+    impact: null,
+    items: [{ title: 'A > B', description: 'Use <v2>' }],
+  });
+  assert.strictEqual(text, [
+    '*[breaking]* https://example.com/api?a=1&amp;b=2',
+    'Ping &lt;!channel&gt; &amp; &lt;https://evil.example|docs&gt;',
+    '_Removes a &lt;script&gt;_',
+    '• *A &gt; B*: Use &lt;v2&gt;',
+  ].join('\n'));
+});
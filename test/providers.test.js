@@ -0,0 +1,15 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createFailoverModel } = require('../services/providers');
+const { silent } = require('./helpers');
+
+const PROVIDERS = {
+  large: { apiKey: 'key', baseURL: 'https://large.example.com/v1', differ: { model: 'large-model', context: 1000000 } },
+  small: { apiKey: 'key', baseURL: 'https://small.example.com/v1', differ: { model: 'small-model', context: 8000 } },
+};
+
+test('the context of a failover model is the smallest one of its providers', () => {
+  const differ = createFailoverModel('differ', { providers: PROVIDERS, order: ['large', 'small'], env: {}, logger: silent });
+  assert.strictEqual(differ.model, 'large-model');
+  assert.strictEqual(differ.context, 8000);
+});
@@ -0,0 +1,77 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createRateLimitedClient, createRateLimiter, estimateTokens, QuotaExceededError } = require('../services/rate-limiter');
+const { createScriptedClient } = require('../services/replay-client');
+const { silent } = require('./helpers');
+
+const PARAMS = { model: 'test-model', messages: [{ role: 'user', content: 'Hello' }] };
+
+const TIMEOUT = { error: { message: 'Request timed out.' } };
+
+/**
+ * Limiter without waits between requests nor before retries.
+ * @returns {Object} Limiter from createRateLimiter
+ */
+function createTestLimiter() {
+  return createRateLimiter({ 'test-model': { rpm: 60000, burst: 10 } }, { baseDelayMs: 1, logger: silent });
+}
+
+test('timeouts are retried by default', async () => {
+  const scripted = createScriptedClient([TIMEOUT, { content: 'Hi' }]);
+  const client = createRateLimitedClient(scripted, createTestLimiter());
+  const response = await client.chat.completions.create(PARAMS, { timeout: 1000 });
+  assert.strictEqual(response.choices[0].message.content, 'Hi');
+  assert.strictEqual(scripted.calls.length, 2);
+});
+
+test('timeouts fail at once with retryTimeouts: false, other errors are still retried', async () => {
+  const scripted = createScriptedClient([{ error: { status: 503 } }, TIMEOUT]);
+  const limiter = createTestLimiter();
+  const client = createRateLimitedClient(scripted, limiter);
+  await assert.rejects(client.chat.completions.create(PARAMS, { timeout: 1000, retryTimeouts: false }), /timed out/);
+  assert.strictEqual(scripted.calls.length, 2);
+  assert.strictEqual(limiter.getStats()['test-model'].retries, 1);
+});
+
+test('retryTimeouts is not passed on to the client', async () => {
+  let received;
+  const client = createRateLimitedClient({
+    chat: { completions: { create: async (params, options) => { received = options; return { choices: [] }; } } },
+  }, createTestLimiter());
+  await client.chat.completions.create(PARAMS, { timeout: 1000, maxRetries: 0, retryTimeouts: false });
+  assert.deepStrictEqual(received, { timeout: 1000, maxRetries: 0 });
+});
+
+test('daily quotas count the usage of earlier runs, loaded once per day', async () => {
+  const days = [];
+  const limiter = createRateLimiter({ 'test-model': { rpm: 60000, burst: 10, rpd: 3 } }, {
+    logger: silent,
+    loadDailyUsage: async (day) => {
+      days.push(day);
+      return { 'test-model': { requests: 2, tokens: 500 } };
+    },
+  });
+  const client = createRateLimitedClient(createScriptedClient(() => ({ content: 'Hi' })), limiter);
+
+  await client.chat.completions.create(PARAMS);
+  await assert.rejects(client.chat.completions.create(PARAMS), QuotaExceededError);
+  assert.deepStrictEqual(days, [new Date().toISOString().slice(0, 10)]);
+  assert.strictEqual(limiter.getStats()['test-model'].requests, 1);
+});
+
+test('daily quotas fall back to the run\'s own usage when earlier runs cannot be loaded', async () => {
+  const limiter = createRateLimiter({ 'test-model': { rpm: 60000, burst: 10, rpd: 1 } }, {
+    logger: silent,
+    loadDailyUsage: async () => { throw new Error('offline'); },
+  });
+  const client = createRateLimitedClient(createScriptedClient(() => ({ content: 'Hi' })), limiter);
+
+  await client.chat.completions.create(PARAMS);
+  await assert.rejects(client.chat.completions.create(PARAMS), QuotaExceededError);
+});
+
+test('the output budget counts towards the estimate, 1000 tokens when max_tokens is not set', () => {
+  const messages = [{ role: 'user', content: 'x'.repeat(400) }];
+  assert.strictEqual(estimateTokens({ messages }), 1100);
+  assert.strictEqual(estimateTokens({ messages, max_tokens: 200 }), 300);
+});
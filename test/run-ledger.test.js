@@ -0,0 +1,31 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { getDailyUsage } = require('../services/run-ledger');
+
+test('adds up the usage of the runs started on the day', async () => {
+  let query;
+  const storage = {
+    listJobRunUsage: async (options) => {
+      query = options;
+      return {
+        data: [
+          { id: '1', started_at: '2025-03-01T06:00:00.000Z', usage: { 'test-model': { requests: 3, prompt_tokens: 100, completion_tokens: 20 } } },
+          { id: '2', started_at: '2025-03-01T12:00:00.000Z', usage: { 'test-model': { requests: 1, prompt_tokens: 40, completion_tokens: 10 }, other: { requests: 2, prompt_tokens: 5, completion_tokens: 5 } } },
+          { id: '3', started_at: '2025-03-02T00:10:00.000Z', usage: { 'test-model': { requests: 9, prompt_tokens: 900, completion_tokens: 90 } } },
+        ],
+        error: null,
+      };
+    },
+  };
+
+  assert.deepStrictEqual(await getDailyUsage(storage, '2025-03-01'), {
+    'test-model': { requests: 4, tokens: 170 },
+    other: { requests: 2, tokens: 10 },
+  });
+  assert.deepStrictEqual(query, { since: '2025-03-01T00:00:00.000Z' });
+});
+
+test('throws when the runs cannot be fetched', async () => {
+  const storage = { listJobRunUsage: async () => ({ data: null, error: { message: 'offline' } }) };
+  await assert.rejects(getDailyUsage(storage, '2025-03-01'), /offline/);
+});
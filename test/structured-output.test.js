@@ -0,0 +1,85 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createStructured, StructuredOutputError } = require('../services/structured-output');
+const { createRateLimitedClient, createRateLimiter } = require('../services/rate-limiter');
+const { createScriptedClient } = require('../services/replay-client');
+const { silent } = require('./helpers');
+
+const ANSWER = { title: 'Webhooks v1 sunset', tags: ['webhooks'] };
+
+const PARAMS = {
+  model: 'test-model',
+  messages: [{ role: 'user', content: 'Describe the change' }],
+  response_format: {
+    type: 'json_schema',
+    json_schema: {
+      name: 'Answer',
+      schema: {
+        type: 'object',
+        properties: { title: { type: 'string' }, tags: { type: 'array', items: { type: 'string' } } },
+        additionalProperties: false,
+        required: ['title', 'tags'],
+      },
+    },
+  },
+};
+
+test('retries a response cut by the token limit, asking for a shorter answer', async () => {
+  const client = createScriptedClient([{ truncated: ANSWER, at: 20 }, { json: ANSWER }]);
+  const { data, response } = await createStructured(client, PARAMS, { logger: silent });
+
+  assert.deepStrictEqual(data, ANSWER);
+  assert.strictEqual(response.choices[0].finish_reason, 'stop');
+  assert.strictEqual(client.calls.length, 2);
+  const retry = client.calls[1].messages;
+  assert.match(retry[retry.length - 1].content, /cut off after 20 characters.*under 10 characters/);
+});
+
+test('sends invalid JSON back with the parse error and returns the repaired answer', async () => {
+  const client = createScriptedClient([{ content: '{"title": "Webhooks v1 sunset",' }, { json: ANSWER }]);
+  const { data } = await createStructured(client, PARAMS, { logger: silent });
+
+  assert.deepStrictEqual(data, ANSWER);
+  const repair = client.calls[1].messages;
+  assert.strictEqual(repair[repair.length - 2].role, 'assistant');
+  assert.match(repair[repair.length - 1].content, /not valid JSON/);
+});
+
+test('asks for a repair when the answer does not match the schema', async () => {
+  const client = createScriptedClient([{ json: { title: 'Webhooks v1 sunset', tags: 'webhooks' } }, { json: ANSWER }]);
+  const { data } = await createStructured(client, PARAMS, { logger: silent });
+
+  assert.deepStrictEqual(data, ANSWER);
+  assert.match(client.calls[1].messages[client.calls[1].messages.length - 1].content, /\$\.tags should be array/);
+});
+
+test('throws StructuredOutputError once every attempt was invalid', async () => {
+  const client = createScriptedClient(() => ({ truncated: ANSWER }));
+  await assert.rejects(
+    createStructured(client, PARAMS, { logger: silent, maxAttempts: 2 }),
+    (error) => error instanceof StructuredOutputError && error.attempts === 2 && /token limit/.test(error.reason)
+  );
+  assert.strictEqual(client.calls.length, 2);
+});
+
+test('429 and 5xx answers are retried by the limiter below the repair loop', async () => {
+  const scripted = createScriptedClient([
+    { error: { status: 429, message: 'Too many requests', headers: { 'retry-after-ms': '1' } } },
+    { error: { status: 503, message: 'Overloaded' } },
+    { json: ANSWER },
+  ]);
+  const limiter = createRateLimiter({ 'test-model': { rpm: 60000, burst: 10 } }, { baseDelayMs: 1, logger: silent });
+  const { data } = await createStructured(createRateLimitedClient(scripted, limiter), PARAMS, { logger: silent });
+
+  assert.deepStrictEqual(data, ANSWER);
+  assert.strictEqual(scripted.calls.length, 3);
+  const stats = limiter.getStats()['test-model'];
+  assert.strictEqual(stats.retries, 2);
+  assert.strictEqual(stats.rateLimited, 1);
+});
+
+test('client errors are thrown as is, without a repair attempt', async () => {
+  const client = createScriptedClient([{ error: { status: 400, message: 'Bad request' } }]);
+  await assert.rejects(createStructured(client, PARAMS, { logger: silent }), (error) => error.status === 400);
+  assert.strictEqual(client.calls.length, 1);
+});
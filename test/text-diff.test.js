@@ -0,0 +1,27 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { normalizeSegment, computeTextDiff } = require('../services/text-diff');
+
+test('masks ISO datetimes written in uppercase', () => {
+  assert.strictEqual(normalizeSegment('Build 2025-03-01T10:15:30Z deployed'), 'build # deployed');
+  assert.strictEqual(normalizeSegment('Build 2025-03-01T10:15:30.123+02:00 deployed'), 'build # deployed');
+  assert.strictEqual(normalizeSegment('Build 2025-03-01T10:15:30Z deployed'), normalizeSegment('Build 2025-03-02T08:00:00Z deployed'));
+});
+
+test('keeps plain dates, which may be a sunset date', () => {
+  assert.strictEqual(normalizeSegment('Sunset on 2025-09-30'), 'sunset on 2025-09-30');
+});
+
+test('a line differing only by its timestamp is not a change', () => {
+  const diff = computeTextDiff(
+    'Status: operational\nChecked at 2025-03-01T10:15:30Z',
+    'Status: operational\nChecked at 2025-03-01T11:45:00Z'
+  );
+  assert.strictEqual(diff.hunks.length, 0);
+});
+
+test('excerpts label sections without line numbers, which blank lines would shift', () => {
+  const diff = computeTextDiff('Intro\n\n\nLast updated: 2025-03-01\nRate limit: 100', 'Intro\n\n\nLast updated: 2025-03-02\nRate limit: 50');
+  assert.strictEqual(diff.oldExcerpt, '[Section 1]\nIntro\nRate limit: 100');
+  assert.strictEqual(diff.newExcerpt, '[Section 1]\nIntro\nRate limit: 50');
+});
@@ -0,0 +1,40 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { runPool, guardWrites } = require('../services/worker-pool');
+const { silent } = require('./helpers');
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+test('a timed out item is reported as failed and its later writes are skipped', async () => {
+  const writes = [];
+  const storage = {
+    getChange: async (id) => ({ data: { id }, error: null }),
+    insertChange: async (change) => {
+      writes.push(change.id);
+      return { data: change, error: null };
+    },
+  };
+
+  let lateWrite;
+  const results = await runPool([{ id: 'fast', delay: 0 }, { id: 'slow', delay: 50 }], async (item, index, signal) => {
+    const guarded = guardWrites(storage, signal, silent);
+    const write = sleep(item.delay).then(() => guarded.insertChange({ id: item.id }));
+    if (item.id === 'slow') lateWrite = write;
+    return write;
+  }, { concurrency: 2, timeoutMs: 20 });
+
+  assert.strictEqual(results[0].ok, true);
+  assert.strictEqual(results[1].ok, false);
+  assert.match(results[1].error.message, /Timed out after 20ms/);
+
+  const { error } = await lateWrite;
+  assert.match(error.message, /insertChange skipped/);
+  assert.deepStrictEqual(writes, ['fast']);
+});
+
+test('reads still go through once the item timed out', async () => {
+  const controller = new AbortController();
+  controller.abort();
+  const guarded = guardWrites({ getChange: async (id) => ({ data: { id }, error: null }) }, controller.signal, silent);
+  assert.deepStrictEqual(await guarded.getChange('1'), { data: { id: '1' }, error: null });
+});